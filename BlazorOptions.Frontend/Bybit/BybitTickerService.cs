@@ -61,7 +61,7 @@ public sealed class BybitTickerService : ITickersService
         var withVolume = await GetCandlesWithVolumeAsync(symbol, fromUtc, toUtc, 60, cancellationToken);
         return withVolume
             .OrderBy(c => c.Time)
-            .Select(c => new CandlePoint(c.Time, c.Open, c.High, c.Low, c.Close))
+            .Select(c => new CandlePoint(c.Time, c.Open, c.High, c.Low, c.Close, c.Volume))
             .ToArray();
     }
 
@@ -1,3 +1,3 @@
 namespace BlazorChart.Models;
 
-public sealed record CandlePoint(long Time, double Open, double High, double Low, double Close);
+public sealed record CandlePoint(long Time, double Open, double High, double Low, double Close, double Volume = 0);
@@ -0,0 +1,4 @@
+namespace BlazorChart.Models;
+
+// Kind is "pnl" (horizontal line at Pnl), "price" (vertical line at Price) or "note" (Text pinned at Price/Pnl).
+public sealed record ChartAnnotation(string Id, string Kind, double? Price, double? Pnl, string? Text, string? Color = null);
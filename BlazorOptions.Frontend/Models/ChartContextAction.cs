@@ -0,0 +1,5 @@
+namespace BlazorChart.Models;
+
+// Action is one of "select-price", "add-alert", "add-annotation", "copy-price", "copy-pnl" or "reset-zoom";
+// StrategyPnls holds every visible strategy's P&L at Price.
+public sealed record ChartContextAction(string Action, double Price, IReadOnlyList<ChartStrategyPnl> StrategyPnls);
@@ -0,0 +1,4 @@
+namespace BlazorChart.Models;
+
+// A strategy's P&L at one price on its T+0 and expiry curves; null where the curve does not reach that price.
+public sealed record ChartStrategyPnl(string StrategyId, double? TempPnl, double? ExpiryPnl);
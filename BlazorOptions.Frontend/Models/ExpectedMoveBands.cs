@@ -0,0 +1,3 @@
+namespace BlazorChart.Models;
+
+public sealed record ExpectedMoveBands(double IvPercent, double DaysToExpiry);
@@ -0,0 +1,9 @@
+using System.Collections.Generic;
+
+namespace BlazorChart.Models;
+
+public sealed record GreekPanel(string Key, string Title, IReadOnlyList<GreekCurve> Curves);
+
+public sealed record GreekCurve(string StrategyId, string StrategyName, string Color, IReadOnlyList<GreekPoint> Points);
+
+public sealed record GreekPoint(double Price, double Value);
@@ -0,0 +1,76 @@
+using System.Collections.Generic;
+using System.Collections.Specialized;
+using System.Diagnostics.CodeAnalysis;
+using System.Globalization;
+using System.Linq;
+
+namespace BlazorChart.Models;
+
+// PayoffChart logic that does not need the JS module, kept here so it can be unit tested.
+public static class PayoffChartHelpers
+{
+    public static string FormatProbabilityBadge(IReadOnlyList<ProbabilityStats> stats, double? pnlCapital)
+    {
+        var showNames = stats.Count > 1;
+        return string.Join("  |  ", stats.Select(item =>
+            $"{(showNames ? $"{item.StrategyName}: " : string.Empty)}POP {FormatNumber(item.ProbabilityOfProfit * 100, "0.0")}% · E[P&L] {FormatPnl(item.ExpectedPnl, pnlCapital)}"));
+    }
+
+    // Mirrors formatPnl in payoffChart.js so the badge follows the return-on-capital mode.
+    public static string FormatPnl(double value, double? pnlCapital)
+    {
+        return pnlCapital is > 0
+            ? $"{FormatNumber(value / pnlCapital.Value * 100, "0.00")}%"
+            : FormatNumber(value, "0.00");
+    }
+
+    // A single Add or Replace at the end of the candle list is a live tick that payoffChart.js can patch in place;
+    // anything else (reset, trim, bulk merge) needs the full updateCandles sync.
+    public static bool TryGetStreamedCandle(NotifyCollectionChangedEventArgs e, int count, out string method, [NotNullWhen(true)] out CandlePoint? candle)
+    {
+        method = string.Empty;
+        candle = null;
+        if (e.NewItems is not { Count: 1 } || e.NewStartingIndex != count - 1)
+        {
+            return false;
+        }
+
+        switch (e.Action)
+        {
+            case NotifyCollectionChangedAction.Add:
+                method = "appendCandle";
+                break;
+            case NotifyCollectionChangedAction.Replace:
+                method = "updateLastCandle";
+                break;
+            default:
+                return false;
+        }
+
+        candle = e.NewItems[0] as CandlePoint;
+        return candle != null;
+    }
+
+    // The legend selection sent when the page owns StrategySeries.Visible. Strategies sharing a name share one legend item,
+    // which stays selected while any of them is visible.
+    public static Dictionary<string, bool> BuildLegendSelection(IEnumerable<StrategySeries> strategies)
+    {
+        return strategies
+            .GroupBy(s => s.Name)
+            .ToDictionary(g => g.Key, g => g.Any(s => s.Visible));
+    }
+
+    // The strategies a legend toggle changed, so a solo or show-all reaches the page as one batch.
+    public static IReadOnlyList<StrategyVisibilityChange> GetVisibilityChanges(IEnumerable<StrategySeries> strategies, IReadOnlyDictionary<string, bool> selected)
+    {
+        return strategies
+            .Where(s => selected.TryGetValue(s.Name, out var visible) && s.Visible != visible)
+            .Select(s => new StrategyVisibilityChange(s, selected[s.Name]))
+            .ToArray();
+    }
+
+    private static string FormatNumber(double value, string format)
+    {
+        return value.ToString(format, CultureInfo.InvariantCulture);
+    }
+}
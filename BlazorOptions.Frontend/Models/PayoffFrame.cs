@@ -0,0 +1,9 @@
+using System;
+using System.Collections.Generic;
+
+namespace BlazorChart.Models;
+
+// One T+n valuation step; each curve replaces the "-temp" series of the strategy with the same id.
+public sealed record PayoffFrame(DateTime ValuationDate, IReadOnlyList<PayoffFrameCurve> Curves);
+
+public sealed record PayoffFrameCurve(string StrategyId, IReadOnlyList<PayoffPoint> Points);
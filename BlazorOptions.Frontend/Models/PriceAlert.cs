@@ -0,0 +1,7 @@
+namespace BlazorChart.Models;
+
+// Without a StrategyId the alert is a price level; with one it is a P&L level on that strategy's T+0 curve.
+public sealed record PriceAlert(string Id, double Value, string? StrategyId = null, string? Label = null);
+
+// Value is the price (price alerts) or the strategy P&L (P&L alerts) observed when the level was crossed.
+public sealed record PriceAlertTriggered(PriceAlert Alert, double Value);
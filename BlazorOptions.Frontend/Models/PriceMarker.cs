@@ -1,5 +1,13 @@
 using System;
+using System.Collections.Generic;
 
 namespace BlazorChart.Models;
 
-public sealed record PriceMarker(double Price, string Text, string Color);
+// Payload entries are shown as "key: value" rows in the hover card; only markers with an Id raise click and move events.
+public sealed record PriceMarker(
+    double Price,
+    string Text,
+    string Color,
+    string? Id = null,
+    bool Draggable = false,
+    IReadOnlyDictionary<string, string>? Payload = null);
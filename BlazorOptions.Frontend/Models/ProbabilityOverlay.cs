@@ -0,0 +1,3 @@
+namespace BlazorChart.Models;
+
+public sealed record ProbabilityOverlay(double Spot, double IvPercent, double DaysToExpiry);
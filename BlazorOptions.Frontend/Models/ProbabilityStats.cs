@@ -0,0 +1,3 @@
+namespace BlazorChart.Models;
+
+public sealed record ProbabilityStats(string StrategyId, string StrategyName, double ProbabilityOfProfit, double ExpectedPnl);
@@ -0,0 +1,4 @@
+namespace BlazorChart.Models;
+
+// Raised when the legend shows or hides a strategy; the owner of StrategySeries.Visible applies it.
+public sealed record StrategyVisibilityChange(StrategySeries Strategy, bool Visible);
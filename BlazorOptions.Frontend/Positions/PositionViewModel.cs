@@ -12,6 +12,8 @@ public sealed class PositionViewModel : IDisposable
     private static readonly TimeSpan CandleBucket = TimeSpan.FromHours(1);
     private static readonly TimeSpan DefaultCandlesWindow = TimeSpan.FromHours(48);
     private const int MaxChartCandles = 5000;
+    // Candles are always loaded at CandleBucket; coarser intervals are aggregated by the chart, so switching never re-fetches.
+    private static readonly int[] ChartCandleIntervals = { 60, 240, 1440 };
     private readonly OptionsService _optionsService;
     private readonly IPositionsPort _positionsPort;
     private readonly LegsCollectionViewModelFactory _collectionFactory;
@@ -158,6 +160,7 @@ public sealed class PositionViewModel : IDisposable
     public bool ShowDayMinMaxMarkers { get; private set; } = true;
     public bool ShowOrderMarkers { get; private set; } = true;
     public bool ShowSkewShift { get; private set; }
+    public int ChartCandleIntervalMinutes { get; private set; } = (int)CandleBucket.TotalMinutes;
     public DateTime MaxExpiryDate { get; private set; } = DateTime.UtcNow;
     public int MaxExpiryDays { get; private set; }
     public int SelectedDayOffset { get; private set; }
@@ -2239,6 +2242,13 @@ public sealed class PositionViewModel : IDisposable
         OnChange?.Invoke();
     }
 
+    public void CycleChartCandleInterval()
+    {
+        var index = Array.IndexOf(ChartCandleIntervals, ChartCandleIntervalMinutes);
+        ChartCandleIntervalMinutes = ChartCandleIntervals[(index + 1) % ChartCandleIntervals.Length];
+        OnChange?.Invoke();
+    }
+
     public void SetShowSkewShift(bool isEnabled)
     {
         if (ShowSkewShift == isEnabled)
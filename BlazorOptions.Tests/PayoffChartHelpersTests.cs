@@ -0,0 +1,146 @@
+using System.Collections.ObjectModel;
+using System.Collections.Specialized;
+using BlazorChart.Models;
+using FluentAssertions;
+
+namespace BlazorOptions.Tests;
+
+[TestClass]
+public sealed class PayoffChartHelpersTests
+{
+    [TestMethod]
+    public void FormatProbabilityBadge_SingleStrategy_OmitsName()
+    {
+        var stats = new[] { new ProbabilityStats("s1", "Iron condor", 0.6234, -12.3456) };
+
+        PayoffChartHelpers.FormatProbabilityBadge(stats, null).Should().Be("POP 62.3% · E[P&L] -12.35");
+    }
+
+    [TestMethod]
+    public void FormatProbabilityBadge_SeveralStrategies_PrefixesNames()
+    {
+        var stats = new[]
+        {
+            new ProbabilityStats("s1", "Call", 0.4, 10),
+            new ProbabilityStats("s2", "Put", 0.55, -2.5)
+        };
+
+        PayoffChartHelpers.FormatProbabilityBadge(stats, null)
+            .Should().Be("Call: POP 40.0% · E[P&L] 10.00  |  Put: POP 55.0% · E[P&L] -2.50");
+    }
+
+    [TestMethod]
+    public void FormatProbabilityBadge_WithCapital_ShowsReturnOnCapital()
+    {
+        var stats = new[] { new ProbabilityStats("s1", "Call", 0.5, 25) };
+
+        // Same rule as formatPnl in payoffChart.js: P&L as a percentage of the capital.
+        PayoffChartHelpers.FormatProbabilityBadge(stats, 1000).Should().Be("POP 50.0% · E[P&L] 2.50%");
+    }
+
+    [TestMethod]
+    public void FormatPnl_NonPositiveCapital_FallsBackToAbsolute()
+    {
+        PayoffChartHelpers.FormatPnl(12.5, 0).Should().Be("12.50");
+        PayoffChartHelpers.FormatPnl(12.5, -100).Should().Be("12.50");
+    }
+
+    [TestMethod]
+    public void TryGetStreamedCandle_AddAtEnd_AppendsCandle()
+    {
+        var candles = new ObservableCollection<CandlePoint> { Candle(0) };
+        NotifyCollectionChangedEventArgs? change = null;
+        candles.CollectionChanged += (_, e) => change = e;
+
+        candles.Add(Candle(3_600_000));
+
+        PayoffChartHelpers.TryGetStreamedCandle(change!, candles.Count, out var method, out var candle).Should().BeTrue();
+        method.Should().Be("appendCandle");
+        candle.Should().Be(candles[^1]);
+    }
+
+    [TestMethod]
+    public void TryGetStreamedCandle_ReplaceLast_UpdatesLastCandle()
+    {
+        var candles = new ObservableCollection<CandlePoint> { Candle(0), Candle(3_600_000) };
+        NotifyCollectionChangedEventArgs? change = null;
+        candles.CollectionChanged += (_, e) => change = e;
+
+        candles[^1] = Candle(3_600_000, close: 105);
+
+        PayoffChartHelpers.TryGetStreamedCandle(change!, candles.Count, out var method, out var candle).Should().BeTrue();
+        method.Should().Be("updateLastCandle");
+        candle!.Close.Should().Be(105);
+    }
+
+    [TestMethod]
+    public void TryGetStreamedCandle_ChangeBeforeLastOrReset_NeedsFullSync()
+    {
+        var candles = new ObservableCollection<CandlePoint> { Candle(0), Candle(3_600_000) };
+        var changes = new List<(NotifyCollectionChangedEventArgs Change, int Count)>();
+        candles.CollectionChanged += (_, e) => changes.Add((e, candles.Count));
+
+        candles.Insert(0, Candle(-3_600_000));
+        candles[0] = Candle(-3_600_000, close: 99);
+        candles.RemoveAt(2);
+        candles.Clear();
+
+        changes.Should().HaveCount(4);
+        foreach (var (change, count) in changes)
+        {
+            PayoffChartHelpers.TryGetStreamedCandle(change, count, out _, out _).Should().BeFalse();
+        }
+    }
+
+    [TestMethod]
+    public void BuildLegendSelection_SharedName_SelectedWhileAnyIsVisible()
+    {
+        var strategies = new[]
+        {
+            Strategy("s1", "Condor", visible: false),
+            Strategy("s2", "Condor", visible: true),
+            Strategy("s3", "Put", visible: false)
+        };
+
+        PayoffChartHelpers.BuildLegendSelection(strategies).Should().BeEquivalentTo(new Dictionary<string, bool>
+        {
+            ["Condor"] = true,
+            ["Put"] = false
+        });
+    }
+
+    [TestMethod]
+    public void GetVisibilityChanges_Solo_ReturnsEveryChangedStrategyInOneBatch()
+    {
+        var call = Strategy("s1", "Call", visible: true);
+        var put = Strategy("s2", "Put", visible: true);
+        var straddle = Strategy("s3", "Straddle", visible: false);
+        var selected = new Dictionary<string, bool> { ["Call"] = false, ["Put"] = false, ["Straddle"] = true };
+
+        var changes = PayoffChartHelpers.GetVisibilityChanges(new[] { call, put, straddle }, selected);
+
+        changes.Should().Equal(
+            new StrategyVisibilityChange(call, false),
+            new StrategyVisibilityChange(put, false),
+            new StrategyVisibilityChange(straddle, true));
+    }
+
+    [TestMethod]
+    public void GetVisibilityChanges_UnchangedOrUnknownNames_ReturnsNothing()
+    {
+        var strategies = new[] { Strategy("s1", "Call", visible: true) };
+        var selected = new Dictionary<string, bool> { ["Call"] = true, ["Other"] = false };
+
+        PayoffChartHelpers.GetVisibilityChanges(strategies, selected).Should().BeEmpty();
+    }
+
+    private static StrategySeries Strategy(string id, string name, bool visible)
+    {
+        return new StrategySeries(id, name, "#888888", false, Array.Empty<PayoffPoint>(), Array.Empty<PayoffPoint>(), visible);
+    }
+
+    private static CandlePoint Candle(long time, double close = 100)
+    {
+        return new CandlePoint(time, 100, Math.Max(100, close), Math.Min(100, close), close);
+    }
+}
@@ -0,0 +1,490 @@
+// Minimal stand-ins for ECharts and the DOM, so payoffChart.js runs under Node. Import this before the chart module.
+// Only what payoffChart.js calls is covered: option merging by id, grid rects and linear/log axis mapping.
+
+class FakeStyle {
+    setProperty(name, value) {
+        this[name] = value;
+    }
+
+    getPropertyValue(name) {
+        return this[name] ?? '';
+    }
+
+    removeProperty(name) {
+        delete this[name];
+    }
+}
+
+class FakeEventTarget {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    addEventListener(type, handler) {
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, []);
+        }
+        this.listeners.get(type).push(handler);
+    }
+
+    removeEventListener(type, handler) {
+        const handlers = this.listeners.get(type) ?? [];
+        const index = handlers.indexOf(handler);
+        if (index >= 0) {
+            handlers.splice(index, 1);
+        }
+    }
+
+    dispatch(type, evt = {}) {
+        const event = { type, target: this, cancelable: true, preventDefault() {}, stopPropagation() {}, ...evt };
+        for (const handler of [...(this.listeners.get(type) ?? [])]) {
+            handler(event);
+        }
+        return event;
+    }
+}
+
+export class FakeElement extends FakeEventTarget {
+    constructor(tagName = 'div') {
+        super();
+        this.tagName = tagName.toUpperCase();
+        this.children = [];
+        this.parentElement = null;
+        this.style = new FakeStyle();
+        this.className = '';
+        this.textContent = '';
+        this.tabIndex = -1;
+        this.width = 800;
+        this.height = 520;
+        this.offsetWidth = 120;
+        this.offsetHeight = 24;
+    }
+
+    appendChild(child) {
+        child.remove();
+        child.parentElement = this;
+        this.children.push(child);
+        return child;
+    }
+
+    append(...children) {
+        children.forEach((child) => this.appendChild(child));
+    }
+
+    replaceChildren(...children) {
+        [...this.children].forEach((child) => child.remove());
+        this.append(...children);
+    }
+
+    remove() {
+        if (this.parentElement) {
+            this.parentElement.children = this.parentElement.children.filter((child) => child !== this);
+            this.parentElement = null;
+        }
+    }
+
+    contains(node) {
+        for (let current = node; current; current = current.parentElement) {
+            if (current === this) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    querySelectorAll(selector) {
+        const className = selector.replace(/^\./, '');
+        const found = [];
+        const visit = (element) => {
+            for (const child of element.children) {
+                if (child.className.split(' ').includes(className)) {
+                    found.push(child);
+                }
+                visit(child);
+            }
+        };
+        visit(this);
+        return found;
+    }
+
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] ?? null;
+    }
+
+    getBoundingClientRect() {
+        return { left: 0, top: 0, width: this.width, height: this.height };
+    }
+
+    focus() {
+    }
+}
+
+const frames = new Map();
+let nextFrame = 1;
+
+// Runs the queued animation frames, including frames queued while running them.
+export function flushFrames() {
+    while (frames.size > 0) {
+        const queued = [...frames.entries()];
+        frames.clear();
+        for (const [, callback] of queued) {
+            callback(performance.now());
+        }
+    }
+}
+
+function toArray(value) {
+    return Array.isArray(value) ? value : [value];
+}
+
+function isComponent(value) {
+    return value !== null && typeof value === 'object';
+}
+
+function mergeOption(state, option) {
+    for (const [key, value] of Object.entries(option ?? {})) {
+        if (!isComponent(value)) {
+            state[key] = value;
+            continue;
+        }
+
+        const list = state[key] ?? (state[key] = []);
+        toArray(value).forEach((item, index) => {
+            if (!isComponent(item)) {
+                return;
+            }
+
+            const existing = item.id !== undefined ? list.find((entry) => entry.id === item.id) : list[index];
+            if (existing) {
+                Object.assign(existing, item);
+            } else {
+                list.push({ ...item });
+            }
+        });
+    }
+}
+
+function getNumber(value, fallback) {
+    return Number.isFinite(value) ? value : fallback;
+}
+
+export class FakeChart {
+    constructor(dom) {
+        this.dom = dom;
+        this.state = {};
+        this.handlers = new Map();
+        this.zrHandlers = new Map();
+        this.actions = [];
+        this.setOptionCalls = [];
+        this.disposed = false;
+        this.zr = {
+            on: (type, handler) => this.addHandler(this.zrHandlers, type, handler),
+            off: (type, handler) => this.removeHandler(this.zrHandlers, type, handler),
+            setCursorStyle: (cursor) => {
+                this.cursor = cursor;
+            }
+        };
+    }
+
+    addHandler(map, type, handler) {
+        if (!map.has(type)) {
+            map.set(type, []);
+        }
+        map.get(type).push(handler);
+    }
+
+    removeHandler(map, type, handler) {
+        if (!handler) {
+            map.delete(type);
+            return;
+        }
+
+        const handlers = map.get(type) ?? [];
+        const index = handlers.indexOf(handler);
+        if (index >= 0) {
+            handlers.splice(index, 1);
+        }
+    }
+
+    // Fires a zrender event such as 'click' or 'dblclick' at a chart pixel.
+    triggerZr(type, point) {
+        for (const handler of [...(this.zrHandlers.get(type) ?? [])]) {
+            handler({ offsetX: point[0], offsetY: point[1], zrX: point[0], zrY: point[1] });
+        }
+    }
+
+    // Fires a chart event such as 'click' or 'legendselectchanged'.
+    trigger(type, params) {
+        for (const handler of [...(this.handlers.get(type) ?? [])]) {
+            handler(params);
+        }
+    }
+
+    getDom() {
+        return this.dom;
+    }
+
+    getWidth() {
+        return this.dom.width;
+    }
+
+    getHeight() {
+        return this.dom.height;
+    }
+
+    getZr() {
+        return this.zr;
+    }
+
+    resize() {
+    }
+
+    dispose() {
+        this.disposed = true;
+    }
+
+    on(type, handler) {
+        this.addHandler(this.handlers, type, handler);
+    }
+
+    off(type, handler) {
+        this.removeHandler(this.handlers, type, handler);
+    }
+
+    dispatchAction(action) {
+        this.actions.push(action);
+    }
+
+    setOption(option, opts = {}) {
+        this.setOptionCalls.push({ option, opts });
+        if (opts === true || opts?.notMerge) {
+            this.state = {};
+        }
+        mergeOption(this.state, option);
+    }
+
+    getOption() {
+        return this.state;
+    }
+
+    getModel() {
+        return {
+            getComponent: (mainType, index = 0) => (this.state[mainType]?.[index] ? this.getComponentModel(mainType, index) : null),
+            queryComponents: ({ mainType, id }) => (this.state[mainType] ?? [])
+                .map((option, index) => (option.id === id ? this.getComponentModel(mainType, index) : null))
+                .filter(Boolean)
+        };
+    }
+
+    getComponentModel(mainType, index) {
+        const option = this.state[mainType][index];
+        const model = { id: option.id, option };
+        if (mainType === 'grid') {
+            model.coordinateSystem = { getRect: () => this.getGridRect(index) };
+        } else if (mainType === 'xAxis' || mainType === 'yAxis') {
+            model.axis = { scale: { getExtent: () => {
+                const extent = this.getAxisExtent(mainType, index);
+                return [extent.min, extent.max];
+            } } };
+        }
+        return model;
+    }
+
+    getGridRect(index) {
+        const grid = this.state.grid?.[index] ?? {};
+        const left = getNumber(grid.left, 60);
+        const right = getNumber(grid.right, 60);
+        const bottom = getNumber(grid.bottom, 60);
+        const width = this.dom.width - left - right;
+        if (Number.isFinite(grid.height)) {
+            const y = Number.isFinite(grid.top) ? grid.top : this.dom.height - bottom - grid.height;
+            return { x: left, y, width, height: grid.height };
+        }
+
+        const top = getNumber(grid.top, 60);
+        return { x: left, y: top, width, height: this.dom.height - top - bottom };
+    }
+
+    getAxisExtent(mainType, index) {
+        const axis = this.state[mainType]?.[index] ?? {};
+        if (Number.isFinite(axis.min) && Number.isFinite(axis.max)) {
+            return { min: axis.min, max: axis.max };
+        }
+
+        const dimension = mainType === 'xAxis' ? 'x' : 'y';
+        let min = Number.POSITIVE_INFINITY;
+        let max = Number.NEGATIVE_INFINITY;
+        for (const series of this.state.series ?? []) {
+            if ((series[`${dimension}AxisIndex`] ?? 0) !== index || !Array.isArray(series.data)) {
+                continue;
+            }
+
+            const columns = toArray(series.encode?.[dimension] ?? (dimension === 'x' ? 0 : 1));
+            for (const item of series.data) {
+                for (const column of columns) {
+                    const value = Array.isArray(item) ? item[column] : null;
+                    if (Number.isFinite(value)) {
+                        min = Math.min(min, value);
+                        max = Math.max(max, value);
+                    }
+                }
+            }
+        }
+
+        return max > min
+            ? { min: Number.isFinite(axis.min) ? axis.min : min, max: Number.isFinite(axis.max) ? axis.max : max }
+            : { min: 0, max: 1 };
+    }
+
+    getAxisScale(mainType, index) {
+        const axis = this.state[mainType]?.[index] ?? {};
+        const extent = this.getAxisExtent(mainType, index);
+        const rect = this.getGridRect(axis.gridIndex ?? 0);
+        const log = axis.type === 'log';
+        const toScale = (value) => (log ? Math.log10(value) : value);
+        const min = toScale(extent.min);
+        const span = toScale(extent.max) - min;
+        if (mainType === 'xAxis') {
+            return {
+                toPixel: (value) => rect.x + ((toScale(value) - min) / span) * rect.width,
+                fromPixel: (pixel) => (log ? 10 ** (min + ((pixel - rect.x) / rect.width) * span) : min + ((pixel - rect.x) / rect.width) * span)
+            };
+        }
+
+        const fraction = (pixel) => (axis.inverse ? (pixel - rect.y) / rect.height : 1 - (pixel - rect.y) / rect.height);
+        return {
+            toPixel: (value) => {
+                const part = (toScale(value) - min) / span;
+                return rect.y + (axis.inverse ? part : 1 - part) * rect.height;
+            },
+            fromPixel: (pixel) => (log ? 10 ** (min + fraction(pixel) * span) : min + fraction(pixel) * span)
+        };
+    }
+
+    getFinderAxes(finder) {
+        if (Number.isFinite(finder.seriesIndex)) {
+            const series = this.state.series?.[finder.seriesIndex] ?? {};
+            return { x: series.xAxisIndex ?? 0, y: series.yAxisIndex ?? 0 };
+        }
+
+        return { x: finder.xAxisIndex, y: finder.yAxisIndex };
+    }
+
+    convertToPixel(finder, value) {
+        const axes = this.getFinderAxes(finder);
+        if (Number.isFinite(axes.x) && Number.isFinite(axes.y)) {
+            return [this.getAxisScale('xAxis', axes.x).toPixel(value[0]), this.getAxisScale('yAxis', axes.y).toPixel(value[1])];
+        }
+
+        return Number.isFinite(axes.x)
+            ? this.getAxisScale('xAxis', axes.x).toPixel(value)
+            : this.getAxisScale('yAxis', axes.y).toPixel(value);
+    }
+
+    convertFromPixel(finder, pixel) {
+        const axes = this.getFinderAxes(finder);
+        if (Number.isFinite(axes.x) && Number.isFinite(axes.y)) {
+            return [this.getAxisScale('xAxis', axes.x).fromPixel(pixel[0]), this.getAxisScale('yAxis', axes.y).fromPixel(pixel[1])];
+        }
+
+        return Number.isFinite(axes.x)
+            ? this.getAxisScale('xAxis', axes.x).fromPixel(pixel)
+            : this.getAxisScale('yAxis', axes.y).fromPixel(pixel);
+    }
+}
+
+const charts = [];
+
+globalThis.echarts = {
+    init(element) {
+        const chart = new FakeChart(element);
+        charts.push(chart);
+        return chart;
+    }
+};
+globalThis.ResizeObserver = class {
+    observe() {
+    }
+
+    disconnect() {
+    }
+};
+globalThis.requestAnimationFrame = (callback) => {
+    const id = nextFrame++;
+    frames.set(id, callback);
+    return id;
+};
+globalThis.cancelAnimationFrame = (id) => {
+    frames.delete(id);
+};
+globalThis.document = Object.assign(new FakeEventTarget(), { createElement: (tagName) => new FakeElement(tagName) });
+globalThis.window = new FakeEventTarget();
+const clipboard = { written: [], writeText(text) {
+    this.written.push(text);
+    return Promise.resolve();
+} };
+Object.defineProperty(globalThis, 'navigator', { value: { clipboard }, configurable: true, writable: true });
+
+// Mounts a chart the way PayoffChart.razor does: the chart element and the JS-owned overlay host inside the component's
+// container.
+export function mountChart(init) {
+    const container = new FakeElement('div');
+    container.className = 'payoff-chart-container';
+    const element = new FakeElement('div');
+    element.className = 'payoff-chart';
+    container.appendChild(element);
+    const overlays = new FakeElement('div');
+    overlays.className = 'payoff-chart-overlays';
+    container.appendChild(overlays);
+    const calls = [];
+    const dotNetRef = {
+        invokeMethodAsync(method, ...args) {
+            calls.push({ method, args });
+            return Promise.resolve();
+        }
+    };
+    const id = init(element, dotNetRef, overlays);
+    return { id, chart: charts[charts.length - 1], element, container, overlays, calls, clipboard };
+}
+
+// An option shaped like PayoffChart.BuildOption: expiry and T+0 curves per strategy, zero and selected lines, and
+// with `candles` the ticker series on the time axis.
+export function buildOption({ strategies = [{ id: 's1', name: 'Strategy' }], legend = false, selected = undefined, from = 50, to = 150, candles = null } = {}) {
+    const series = [];
+    if (candles) {
+        const data = candles.map((c) => [c.time, c.open, c.close, c.low, c.high, c.volume ?? 0]);
+        series.push({ id: '__ticker_candles__', type: 'custom', xAxisIndex: 0, yAxisIndex: 1, encode: { x: [1, 2, 3, 4], y: 0 }, data });
+        series.push({ id: '__ticker_line__', type: 'line', xAxisIndex: 0, yAxisIndex: 1, data: data.map((c) => [c[2], c[0]]) });
+    }
+    for (const strategy of strategies) {
+        const expiry = [];
+        const temp = [];
+        for (let price = from; price <= to; price += 5) {
+            expiry.push([price, strategy.expiry ? strategy.expiry(price) : price - 100]);
+            temp.push([price, strategy.temp ? strategy.temp(price) : (price - 100) * 0.8]);
+        }
+        for (const [kind, data] of [['Temp', temp], ['Expired', expiry]]) {
+            series.push({
+                id: `${strategy.id}-${kind.toLowerCase()}`,
+                name: strategy.name,
+                payoffKind: kind,
+                strategyName: strategy.name,
+                type: 'line',
+                data
+            });
+        }
+    }
+    series.push({ id: '__zero__', name: 'Zero', type: 'line', data: [], markLine: { data: [{ yAxis: 0 }] } });
+    series.push({ id: '__selected__', name: 'Selected', type: 'line', data: [], markLine: {} });
+
+    return {
+        animation: false,
+        grid: { left: 50, right: 0, top: 20, bottom: 40 },
+        tooltip: { trigger: 'axis', show: true },
+        legend: legend ? { data: strategies.map((s) => s.name), selected: selected ?? null } : null,
+        xAxis: { type: 'value' },
+        yAxis: candles ? [{ type: 'value' }, { type: 'time', inverse: true }] : [{ type: 'value' }],
+        dataZoom: [],
+        series
+    };
+}
@@ -0,0 +1,377 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mountChart, buildOption, flushFrames } from './fakeChart.mjs';
+import * as payoffChart from '../../BlazorOptions/wwwroot/js/payoffChart.js';
+
+function mount(option = buildOption()) {
+    const mounted = mountChart(payoffChart.init);
+    payoffChart.setOption(mounted.id, option);
+    flushFrames();
+    return mounted;
+}
+
+function greekPanel(key) {
+    return {
+        key,
+        title: key,
+        curves: [{ strategyId: 's1', strategyName: 'Strategy', color: '#f00', points: [{ price: 50, value: 0 }, { price: 150, value: 1 }] }]
+    };
+}
+
+function getPriceRange(chart) {
+    const axis = chart.getOption().xAxis[0];
+    return { min: axis.min, max: axis.max };
+}
+
+test('Greek panels grow the chart element instead of shrinking the payoff grid', () => {
+    const { id, chart, element } = mount();
+    const before = chart.getModel().getComponent('grid', 0).coordinateSystem.getRect();
+
+    payoffChart.setGreekPanels(id, [greekPanel('delta'), greekPanel('gamma')]);
+    flushFrames();
+
+    assert.equal(element.style.getPropertyValue('--payoff-chart-panels-height'), '180px');
+    // The fake element keeps its size, so the grid only shrinks here by the height the real element gains.
+    const after = chart.getModel().getComponent('grid', 0).coordinateSystem.getRect();
+    assert.equal(before.height - after.height, 180);
+});
+
+test('a drag at the top of the first Greek panel pans price instead of zooming the x axis', () => {
+    const { id, chart } = mount();
+    payoffChart.setGreekPanels(id, [greekPanel('delta')]);
+    flushFrames();
+    const main = chart.getModel().getComponent('grid', 0).coordinateSystem.getRect();
+    const panel = chart.getModel().getComponent('grid', 1).coordinateSystem.getRect();
+    const y = panel.y + 4;
+    assert.ok(y < main.y + main.height + 36, 'the point must lie inside the x-axis drag band');
+
+    chart.triggerZr('mousedown', [400, y]);
+    chart.triggerZr('mousemove', [460, y]);
+    chart.triggerZr('mouseup', [460, y]);
+
+    const range = getPriceRange(chart);
+    assert.ok(range.min < 50, 'dragging right pans towards lower prices');
+    assert.equal(Math.round(range.max - range.min), 100);
+});
+
+test('dragging the overview brush stays linear on a log axis while the prices reach zero', () => {
+    const { id, chart } = mount(buildOption({ from: -50, to: 150 }));
+    payoffChart.setOverview(id, true);
+    payoffChart.setPriceScale(id, 'log');
+    flushFrames();
+    const strip = chart.getModel().queryComponents({ mainType: 'grid', id: '__overview_grid__' })[0].coordinateSystem.getRect();
+    const y = strip.y + strip.height / 2;
+    const x = strip.x + strip.width / 2;
+
+    chart.triggerZr('mousedown', [x, y]);
+    chart.triggerZr('mousemove', [x + strip.width / 10, y]);
+    chart.triggerZr('mouseup', [x + strip.width / 10, y]);
+
+    const range = getPriceRange(chart);
+    assert.equal(range.min, null, 'the log axis leaves its non-positive side open');
+    assert.equal(Math.round(range.max), 170, 'a tenth of the strip moves the window a tenth of its linear extent');
+});
+
+const hour = 3_600_000;
+
+function candle(time, close = 100) {
+    return { time, open: 100, high: Math.max(100, close), low: Math.min(100, close), close, volume: 1 };
+}
+
+function getDisplayedCandles(chart) {
+    return chart.getOption().series.find((series) => series.id === '__ticker_candles__').data;
+}
+
+test('streamed bars switch on aggregation once they reveal the candle spacing', () => {
+    const { id, chart } = mount(buildOption({ candles: [] }));
+    payoffChart.setCandleInterval(id, 4 * hour);
+    payoffChart.updateCandles(id, [candle(0)]);
+    flushFrames();
+    assert.equal(getDisplayedCandles(chart).length, 1);
+
+    payoffChart.appendCandle(id, candle(hour, 104));
+    payoffChart.appendCandle(id, candle(2 * hour, 102));
+    flushFrames();
+
+    // Three hourly bars share one 4h bucket.
+    const displayed = getDisplayedCandles(chart);
+    assert.equal(displayed.length, 1);
+    assert.deepEqual(displayed[0].slice(0, 5), [0, 100, 102, 100, 104]);
+});
+
+test('unaggregated ticks patch the line point of every new bar', () => {
+    const { id, chart } = mount(buildOption({ candles: [candle(0), candle(hour)] }));
+
+    payoffChart.appendCandle(id, candle(2 * hour, 101));
+    payoffChart.appendCandle(id, candle(3 * hour, 103));
+    flushFrames();
+
+    const line = chart.getOption().series.find((series) => series.id === '__ticker_line__').data;
+    assert.deepEqual(line.slice(-2), [[101, 2 * hour], [103, 3 * hour]]);
+});
+
+test('the drawn candle interval is reported, including when the requested one cannot be built', () => {
+    const candles = [0, 1, 2, 3].map((i) => candle(i * hour));
+    const { id, calls } = mount(buildOption({ candles }));
+    const reports = () => calls.filter((call) => call.method === 'OnCandleIntervalApplied').map((call) => call.args[0]);
+    assert.deepEqual(reports(), [hour]);
+
+    payoffChart.setCandleInterval(id, 4 * hour);
+    payoffChart.setCandleInterval(id, 15 * 60_000);
+
+    assert.deepEqual(reports(), [hour, 4 * hour, hour]);
+});
+
+test('annotations restored with PascalCase keys and an empty note are drawn', () => {
+    const { id, chart } = mount();
+
+    payoffChart.setAnnotations(id, [
+        { Id: 'p1', Kind: 'pnl', Pnl: 10 },
+        { id: 'n1', kind: 'note', price: 100, pnl: 0, text: '' }
+    ]);
+
+    const series = chart.getOption().series.find((s) => s.id === '__annotations__');
+    assert.equal(series.markLine.data.length, 1);
+    assert.equal(series.markPoint.data.length, 1);
+    assert.deepEqual(series.markPoint.data[0].coord, [100, 0]);
+});
+
+function tap(element, chart, point) {
+    const evt = { pointerId: 1, pointerType: 'touch', clientX: point[0], clientY: point[1] };
+    element.dispatch('pointerdown', evt);
+    element.dispatch('pointerup', evt);
+    // Browsers follow the pointer events with zrender's and the element's own click.
+    chart.triggerZr('click', point);
+    element.dispatch('click', evt);
+}
+
+test('the second tap of a double-tap resets the scale without selecting a price again', () => {
+    const { chart, element, calls } = mount();
+    const count = (method) => calls.filter((call) => call.method === method).length;
+
+    tap(element, chart, [400, 200]);
+    const selections = count('OnChartClick');
+    assert.ok(selections > 0);
+
+    tap(element, chart, [410, 200]);
+
+    assert.equal(count('OnAutoScaleReset'), 1);
+    assert.equal(count('OnChartClick'), selections);
+});
+
+test('dispose detaches the double-click handler', () => {
+    const { id, chart } = mount();
+
+    payoffChart.dispose(id);
+
+    assert.equal(chart.zrHandlers.get('dblclick')?.length ?? 0, 0);
+});
+
+function longPress(t, element, from, to = from) {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    element.dispatch('pointerdown', { pointerId: 1, pointerType: 'touch', clientX: from[0], clientY: from[1] });
+    t.mock.timers.tick(500);
+    element.dispatch('pointermove', { pointerId: 1, pointerType: 'touch', clientX: to[0], clientY: to[1] });
+    element.dispatch('pointerup', { pointerId: 1, pointerType: 'touch', clientX: to[0], clientY: to[1] });
+}
+
+test('releasing a long press where it started opens the context menu in the overlay host', (t) => {
+    const { element, container, overlays } = mount();
+
+    longPress(t, element, [400, 200]);
+
+    assert.equal(overlays.querySelector('.payoff-chart-context-menu')?.parentElement, overlays);
+    assert.ok(!container.children.some((child) => child.className === 'payoff-chart-context-menu'));
+});
+
+test('a long press that slides only inspects', (t) => {
+    const { element, container } = mount();
+
+    longPress(t, element, [400, 200], [460, 200]);
+
+    assert.equal(container.querySelector('.payoff-chart-context-menu'), null);
+});
+
+test('a quick two-finger tap does not open the context menu', () => {
+    const { element, container } = mount();
+    const touch = (type, pointerId, x) => element.dispatch(type, { pointerId, pointerType: 'touch', clientX: x, clientY: 200 });
+
+    touch('pointerdown', 1, 380);
+    touch('pointerdown', 2, 420);
+    touch('pointerup', 1, 380);
+    touch('pointerup', 2, 420);
+
+    assert.equal(container.querySelector('.payoff-chart-context-menu'), null);
+});
+
+function chooseMenuItem(element, overlays, label) {
+    element.dispatch('contextmenu', { clientX: 400, clientY: 200 });
+    const menu = overlays.querySelector('.payoff-chart-context-menu');
+    menu.children.find((button) => button.textContent.startsWith(label)).dispatch('click');
+}
+
+test('Add annotation from the context menu asks the page for a note at that point', () => {
+    const { element, overlays, calls } = mount();
+
+    chooseMenuItem(element, overlays, 'Add annotation');
+
+    const request = calls.find((call) => call.method === 'OnNoteRequested');
+    assert.ok(request, 'the note flow starts');
+    assert.ok(Number.isFinite(request.args[1]) && Number.isFinite(request.args[2]));
+    assert.equal(overlays.querySelector('.payoff-chart-context-menu'), null);
+});
+
+test('context actions carry each visible strategy\'s P&L at the price', () => {
+    const strategies = [
+        { id: 's1', name: 'A', expiry: (price) => price - 100, temp: (price) => price - 90 },
+        { id: 's2', name: 'B', expiry: (price) => 100 - price, temp: (price) => 110 - price }
+    ];
+    const { element, overlays, calls } = mount(buildOption({ strategies }));
+
+    chooseMenuItem(element, overlays, 'Add price alert');
+
+    const [action, price, strategyPnls] = calls.find((call) => call.method === 'OnContextAction').args;
+    assert.equal(action, 'add-alert');
+    assert.deepEqual(strategyPnls.map((entry) => entry.strategyId), ['s1', 's2']);
+    const a = strategyPnls[0];
+    assert.ok(Math.abs(a.expiryPnl - (price - 100)) < 1e-9 && Math.abs(a.tempPnl - (price - 90)) < 1e-9);
+    assert.ok(Math.abs(strategyPnls[1].tempPnl - (110 - price)) < 1e-9);
+});
+
+test('a live wick through an alert level fires it once, while a resynced candle set does not', () => {
+    const { id, calls } = mount(buildOption({ candles: [candle(0, 100)] }));
+    const fired = () => calls.filter((call) => call.method === 'OnAlertTriggered').map((call) => call.args);
+    payoffChart.setAlerts(id, [{ id: 'a1', value: 104 }, { id: 'a2', value: 90 }]);
+
+    payoffChart.updateCandles(id, [candle(0, 100), candle(hour, 95)]);
+    flushFrames();
+    assert.deepEqual(fired(), []);
+
+    payoffChart.appendCandle(id, { time: 2 * hour, open: 95, high: 105, low: 95, close: 101, volume: 1 });
+    flushFrames();
+    payoffChart.appendCandle(id, { time: 3 * hour, open: 101, high: 106, low: 100, close: 102, volume: 1 });
+    flushFrames();
+
+    assert.deepEqual(fired(), [['a1', 104]]);
+});
+
+const twoStrategies = [{ id: 's1', name: 'A' }, { id: 's2', name: 'B' }];
+
+function getSeriesData(chart, id) {
+    return chart.getOption().series.find((series) => series.id === id).data;
+}
+
+test('without a visibility handler the legend keeps its own toggles when .NET sends a new option', () => {
+    const { id, chart, calls } = mount(buildOption({ strategies: twoStrategies, legend: true }));
+
+    chart.trigger('legendselectchanged', { name: 'A', selected: { A: false, B: true } });
+    // A new strategy changes the series list, so the whole option replaces the chart.
+    payoffChart.setOption(id, buildOption({ strategies: [...twoStrategies, { id: 's3', name: 'C' }], legend: true }));
+    flushFrames();
+
+    assert.deepEqual(chart.getOption().legend[0].selected, { A: false, B: true });
+    assert.equal(getSeriesData(chart, 's1-expired').length, 0);
+    assert.ok(getSeriesData(chart, 's2-expired').length > 0);
+    assert.equal(calls.filter((call) => call.method === 'OnLegendVisibilityChanged').length, 1);
+});
+
+test('a selection sent by a page that owns visibility replaces the local toggles', () => {
+    const { id, chart } = mount(buildOption({ strategies: twoStrategies, legend: true }));
+
+    chart.trigger('legendselectchanged', { name: 'A', selected: { A: false, B: true } });
+    payoffChart.setOption(id, buildOption({ strategies: twoStrategies, legend: true, selected: { A: true, B: false } }));
+    flushFrames();
+
+    assert.deepEqual(chart.getOption().legend[0].selected, { A: true, B: false });
+    assert.ok(getSeriesData(chart, 's1-expired').length > 0);
+    assert.equal(getSeriesData(chart, 's2-expired').length, 0);
+});
+
+function flatFrame(day, pnl) {
+    const points = [];
+    for (let price = 50; price <= 150; price += 5) {
+        points.push({ price, pnl });
+    }
+    return { valuationDate: `2026-01-0${day}T00:00:00Z`, curves: [{ strategyId: 's1', points }] };
+}
+
+function getPnlAt(chart, id, price) {
+    return getSeriesData(chart, id).find((point) => point[0] === price)?.[1];
+}
+
+test('replacing the playback frames brings back the live T+0 curve, also for later local re-renders', () => {
+    const { id, chart } = mount();
+    payoffChart.setPlaybackFrames(id, [flatFrame(1, 7), flatFrame(2, 9)], 400);
+    payoffChart.seekPlayback(id, 1);
+    assert.equal(getPnlAt(chart, 's1-temp', 150), 9);
+
+    payoffChart.setPlaybackFrames(id, [], 400);
+    assert.equal(getPnlAt(chart, 's1-temp', 150), 40);
+
+    payoffChart.setPnlZones(id, true);
+    flushFrames();
+    assert.equal(getPnlAt(chart, 's1-temp', 150), 40);
+});
+
+test('the playback controls live in the overlay host, not in the Blazor container', () => {
+    const { id, container, overlays } = mount();
+
+    payoffChart.setPlaybackFrames(id, [flatFrame(1, 7), flatFrame(2, 9)], 400);
+
+    assert.equal(overlays.querySelector('.payoff-chart-playback')?.parentElement, overlays);
+    assert.ok(!container.children.some((child) => child.className === 'payoff-chart-playback'));
+});
+
+test('the marker card lives in the overlay host, not in the Blazor container', () => {
+    const { id, chart, container, overlays } = mount();
+    payoffChart.setMarkers(id, [{ id: 'm1', price: 100, text: 'Order', payload: { Qty: 2 } }]);
+    flushFrames();
+
+    chart.triggerZr('mousemove', [chart.convertToPixel({ xAxisIndex: 0 }, 100), 200]);
+
+    const card = overlays.querySelector('.payoff-chart-marker-card');
+    assert.equal(card?.parentElement, overlays);
+    assert.equal(card.style.display, '');
+    assert.ok(!container.children.some((child) => child.className === 'payoff-chart-marker-card'));
+});
+
+function countFullRenders(chart) {
+    const counter = { count: 0 };
+    const setOption = chart.setOption.bind(chart);
+    chart.setOption = (option, opts) => {
+        if (opts?.notMerge) {
+            counter.count++;
+        }
+        return setOption(option, opts);
+    };
+    return counter;
+}
+
+test('overlay setters share one render on the next frame', () => {
+    const { id, chart } = mount();
+    const renders = countFullRenders(chart);
+
+    payoffChart.setPnlZones(id, true);
+    payoffChart.setVolumeProfile(id, true);
+    payoffChart.setOverview(id, true);
+    payoffChart.setPriceScale(id, 'log');
+    assert.equal(renders.count, 0);
+
+    flushFrames();
+    assert.equal(renders.count, 1);
+});
+
+test('fitRange and pinSnapshot read the option still waiting for its frame', () => {
+    const { id, chart } = mount();
+    const shifted = [{ id: 's1', name: 'Strategy', expiry: (price) => price - 250, temp: (price) => price - 240 }];
+
+    payoffChart.setOption(id, buildOption({ strategies: shifted, from: 200, to: 300 }));
+    assert.equal(payoffChart.fitRange(id, 'breakevens', 10), true);
+    payoffChart.pinSnapshot(id, 'Before');
+    flushFrames();
+
+    const range = getPriceRange(chart);
+    assert.ok(range.min > 200 && range.max < 300, 'the range fits the break-even of the queued option');
+    const pinned = chart.getOption().series.find((series) => series.snapshotOf === 's1-temp');
+    assert.deepEqual(pinned.data[0], [200, -40]);
+});
@@ -0,0 +1,251 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    getProbabilityModel,
+    integratePayoff,
+    getAggregationInterval,
+    aggregateCandles,
+    interpolatePnl,
+    findVisibleExtrema,
+    normalizeAnnotation,
+    findZeroCrossings,
+    compareOptionValue,
+    diffSeriesById,
+    usesLogScale,
+    toPriceScale,
+    fromPriceScale,
+    inPriceScale,
+    getStrategyPnls,
+    getCandleMoveExtremes,
+    findTriggeredAlerts,
+    getPnlSpan
+} from '../../BlazorOptions/wwwroot/js/payoffChartHelpers.js';
+
+function sample(from, to, step, payoff) {
+    const data = [];
+    for (let price = from; price <= to; price += step) {
+        data.push([price, payoff(price)]);
+    }
+    return data;
+}
+
+test('integratePayoff gives a zero expected P&L for a forward bought at spot', () => {
+    const model = getProbabilityModel({ spot: 100, ivPercent: 50, daysToExpiry: 365 });
+    const result = integratePayoff(model, sample(50, 150, 1, (price) => price - 100));
+
+    // The tails continue the edge slopes, so the lognormal mean of exactly spot cancels the cost.
+    assert.ok(Math.abs(result.expectedPnl) < 1e-3);
+    assert.ok(Math.abs(result.probabilityOfProfit - 0.4013) < 1e-3);
+});
+
+test('integratePayoff prices an at-the-money put like Black-Scholes with zero rate', () => {
+    const model = getProbabilityModel({ spot: 100, ivPercent: 50, daysToExpiry: 365 });
+    const result = integratePayoff(model, sample(50, 150, 1, (price) => Math.max(100 - price, 0)));
+
+    // S · (2N(σ/2) - 1) with σ = 0.5.
+    assert.ok(Math.abs(result.expectedPnl - 19.7413) < 1e-3);
+    assert.ok(Math.abs(result.probabilityOfProfit - 0.5987) < 1e-3);
+});
+
+test('integratePayoff needs at least two points', () => {
+    const model = getProbabilityModel({ spot: 100, ivPercent: 50, daysToExpiry: 30 });
+
+    assert.equal(integratePayoff(model, [[100, 1]]), null);
+});
+
+test('getProbabilityModel rejects a missing or zero volatility', () => {
+    assert.equal(getProbabilityModel(null), null);
+    assert.equal(getProbabilityModel({ spot: 100, ivPercent: 0, daysToExpiry: 30 }), null);
+});
+
+const hour = 3_600_000;
+
+function hourly(count, start = 0) {
+    return Array.from({ length: count }, (_, i) => [start + i * hour, 100 + i, 101 + i, 99 + i, 102 + i, 1]);
+}
+
+test('aggregateCandles merges bars into UTC buckets with open, close, extremes and summed volume', () => {
+    const result = aggregateCandles(hourly(6, 2 * hour), 4 * hour);
+
+    assert.deepEqual(result, [
+        [0, 100, 102, 99, 103, 2],
+        [4 * hour, 102, 106, 101, 107, 4]
+    ]);
+});
+
+test('aggregateCandles sorts out-of-order bars and returns the input when the interval is unset', () => {
+    const candles = hourly(4);
+    const shuffled = [candles[2], candles[0], candles[3], candles[1]];
+
+    assert.deepEqual(aggregateCandles(shuffled, 4 * hour), [[0, 100, 104, 99, 105, 4]]);
+    assert.equal(aggregateCandles(candles, 0), candles);
+});
+
+test('getAggregationInterval only accepts whole multiples coarser than the loaded spacing', () => {
+    const candles = hourly(3);
+
+    assert.equal(getAggregationInterval(4 * hour, candles), 4 * hour);
+    assert.equal(getAggregationInterval(hour, candles), 0);
+    assert.equal(getAggregationInterval(90 * 60_000, candles), 0);
+    assert.equal(getAggregationInterval(15 * 60_000, candles), 0);
+    assert.equal(getAggregationInterval(4 * hour, hourly(1)), 0);
+});
+
+test('interpolatePnl interpolates between samples and returns null outside them', () => {
+    const data = [[90, -10], [100, 0], [110, 20]];
+
+    assert.equal(interpolatePnl(data, 105), 10);
+    assert.equal(interpolatePnl(data, 100), 0);
+    assert.equal(interpolatePnl(data, 120), null);
+});
+
+test('findVisibleExtrema takes the extremes inside the window, including its interpolated edges', () => {
+    const spread = sample(50, 150, 5, (price) => Math.min(Math.max(price - 90, 0), 20) - 8);
+    const extrema = findVisibleExtrema(spread, { min: 92, max: 104 });
+
+    assert.deepEqual(extrema.low, [92, -6]);
+    assert.deepEqual(extrema.high, [104, 6]);
+    assert.deepEqual(extrema.rising, { left: false, right: false });
+    assert.deepEqual(extrema.falling, { left: false, right: false });
+});
+
+test('findVisibleExtrema flags an edge as unbounded only while the data edge is inside the window', () => {
+    const longCall = sample(50, 150, 5, (price) => Math.max(price - 100, 0) - 5);
+
+    assert.equal(findVisibleExtrema(longCall, { min: 0, max: 200 }).rising.right, true);
+    assert.equal(findVisibleExtrema(longCall, { min: 0, max: 140 }).rising.right, false);
+    assert.equal(findVisibleExtrema(longCall, { min: 0, max: 200 }).falling.left, false);
+});
+
+test('findVisibleExtrema lets the expiry slope decide for a T+0 curve', () => {
+    const expiry = sample(50, 150, 5, (price) => Math.min(Math.max(price - 90, 0), 20) - 8);
+    const temp = sample(50, 150, 5, (price) => (price - 100) * 0.2);
+
+    assert.equal(findVisibleExtrema(temp, null).rising.right, true);
+    assert.equal(findVisibleExtrema(temp, null, expiry).rising.right, false);
+});
+
+test('normalizeAnnotation reads camelCase and PascalCase keys alike', () => {
+    const expected = { id: 'a1', kind: 'price', price: 100, pnl: null, text: null, color: null };
+
+    assert.deepEqual(normalizeAnnotation({ id: 'a1', kind: 'price', price: 100 }), expected);
+    assert.deepEqual(normalizeAnnotation({ Id: 'a1', Kind: 'price', Price: 100 }), expected);
+});
+
+test('normalizeAnnotation keeps a note without text', () => {
+    const note = normalizeAnnotation({ id: 'n1', kind: 'note', price: 100, pnl: 5 });
+
+    assert.equal(note.text, '');
+    assert.equal(normalizeAnnotation({ id: 'n2', kind: 'note', price: 100, pnl: 5, text: '' }).text, '');
+});
+
+test('normalizeAnnotation drops annotations without an id or the value their kind needs', () => {
+    assert.equal(normalizeAnnotation({ kind: 'pnl', pnl: 5 }), null);
+    assert.equal(normalizeAnnotation({ id: 'p1', kind: 'pnl', price: 100 }), null);
+    assert.equal(normalizeAnnotation({ id: 'n1', kind: 'note', price: 100 }), null);
+    assert.equal(normalizeAnnotation({ id: 'x1', kind: 'band', price: 100, pnl: 5 }), null);
+});
+
+test('findZeroCrossings interpolates every sign change, counting a touch of zero once', () => {
+    const data = [[90, -10], [100, 10], [110, 0], [120, -5], [130, -5]];
+
+    assert.deepEqual(findZeroCrossings(data), [95, 110]);
+    assert.deepEqual(findZeroCrossings([[90, 1], [100, 2]]), []);
+});
+
+test('compareOptionValue tells equal, changed values and changed shape apart', () => {
+    assert.equal(compareOptionValue({ a: [1, 2], b: { c: 'x' } }, { a: [1, 2], b: { c: 'x' } }), 0);
+    assert.equal(compareOptionValue({ a: [1, 2] }, { a: [1, 3] }), 1);
+    assert.equal(compareOptionValue({ a: [1, 2] }, { a: [1, 2, 3] }), 1);
+    assert.equal(compareOptionValue({ a: 1 }, { a: 1, b: 2 }), 2);
+    assert.equal(compareOptionValue({ a: 1, b: undefined }, { a: 1 }), 0);
+    assert.equal(compareOptionValue({ formatter: () => 1 }, { formatter: () => 2 }), 0);
+    assert.equal(compareOptionValue(NaN, NaN), 0);
+});
+
+test('diffSeriesById returns only the changed series, or null when the option must be rebuilt', () => {
+    const previous = { grid: { left: 50 }, series: [{ id: 'a', data: [[1, 1]] }, { id: 'b', data: [[1, 2]] }] };
+    const next = { grid: { left: 50 }, series: [{ id: 'a', data: [[1, 1]] }, { id: 'b', data: [[1, 3]] }] };
+
+    assert.deepEqual(diffSeriesById(previous, next), [next.series[1]]);
+    assert.deepEqual(diffSeriesById(previous, previous), []);
+    assert.equal(diffSeriesById(previous, { ...next, grid: { left: 60 } }), null);
+    assert.equal(diffSeriesById(previous, { ...next, series: [next.series[1], next.series[0]] }), null);
+    assert.equal(diffSeriesById(previous, { ...next, series: [next.series[0], { ...next.series[1], smooth: true }] }), null);
+    assert.equal(diffSeriesById(null, next), null);
+});
+
+test('usesLogScale needs a log axis and every range above zero', () => {
+    assert.equal(usesLogScale(true, { min: 10, max: 100 }, { min: 1, max: 2 }), true);
+    assert.equal(usesLogScale(false, { min: 10, max: 100 }), false);
+    assert.equal(usesLogScale(true, { min: 10, max: 100 }, { min: 0, max: 2 }), false);
+    assert.equal(usesLogScale(true, null), false);
+});
+
+test('toPriceScale and fromPriceScale round-trip a positive range on a log axis', () => {
+    const range = { min: 10, max: 1000 };
+    const scaled = toPriceScale(true, range);
+    assert.ok(Math.abs(scaled.min - Math.log(10)) < 1e-12);
+    assert.ok(Math.abs(fromPriceScale(true, scaled).max - 1000) < 1e-9);
+    assert.equal(toPriceScale(false, range), range);
+    assert.equal(fromPriceScale(false, range), range);
+});
+
+test('toPriceScale leaves a range that reaches zero linear', () => {
+    const range = { min: -50, max: 150 };
+    assert.equal(toPriceScale(true, range), range);
+});
+
+test('inPriceScale runs the transform on log prices only when the range has a log form', () => {
+    const double = (range) => ({ min: range.min, max: range.min + (range.max - range.min) * 2 });
+    const log = inPriceScale(true, { min: 10, max: 100 }, double);
+    assert.ok(Math.abs(log.max - 1000) < 1e-9);
+    assert.deepEqual(inPriceScale(true, { min: -50, max: 150 }, double), { min: -50, max: 350 });
+});
+
+test('getStrategyPnls groups the T+0 and expiry curves of each strategy', () => {
+    const curves = [
+        { id: 'a-b-expired', data: [[90, -10], [110, 10]] },
+        { id: 'a-b-temp', data: [[90, -5], [110, 15]] },
+        { id: 's2-temp', data: [[120, 0], [130, 10]] }
+    ];
+
+    assert.deepEqual(getStrategyPnls(curves, 100), [
+        { strategyId: 'a-b', tempPnl: 5, expiryPnl: 0 },
+        { strategyId: 's2', tempPnl: null, expiryPnl: null }
+    ]);
+});
+
+test('getCandleMoveExtremes counts only a newly reached low or high of a repeated bar', () => {
+    assert.deepEqual(getCandleMoveExtremes(null, [0, 100, 102, 98, 105]), [98, 105]);
+    assert.deepEqual(getCandleMoveExtremes([0, 100, 102, 98, 105], [0, 100, 103, 98, 106]), [103, 106]);
+    assert.deepEqual(getCandleMoveExtremes([0, 100, 102, 98, 105], [60, 102, 101, 100, 103]), [100, 103]);
+});
+
+test('findTriggeredAlerts reports the end of a move through a price level and the level of a wick touch', () => {
+    const alerts = [{ id: 'through', value: 102 }, { id: 'wick', value: 108 }, { id: 'far', value: 120 }];
+
+    assert.deepEqual(findTriggeredAlerts(alerts, () => null, 100, 104, 99, 110), [
+        { id: 'through', value: 104 },
+        { id: 'wick', value: 108 }
+    ]);
+    assert.deepEqual(findTriggeredAlerts(alerts, () => null, 102, 101), [], 'leaving a level does not cross it');
+    assert.deepEqual(findTriggeredAlerts(alerts, () => null, null, 104), [], 'the first price only sets the baseline');
+});
+
+test('findTriggeredAlerts follows a P&L alert along its strategy curve', () => {
+    const curve = [[90, 10], [100, 0], [110, 10]];
+    const alerts = [{ id: 'pnl', value: 5, strategyId: 's1' }, { id: 'missing', value: 5, strategyId: 's2' }];
+    const getCurve = (alert) => (alert.strategyId === 's1' ? curve : null);
+
+    assert.deepEqual(findTriggeredAlerts(alerts, getCurve, 96, 98), [], 'the curve stays below 5 between the prices');
+    assert.deepEqual(findTriggeredAlerts(alerts, getCurve, 98, 106), [{ id: 'pnl', value: 6 }]);
+    assert.deepEqual(findTriggeredAlerts(alerts, getCurve, 98, 120), [], 'a move past the curve cannot be followed');
+});
+
+test('getPnlSpan includes the curve points between the prices', () => {
+    const curve = [[90, 10], [100, -4], [110, 10]];
+
+    assert.deepEqual(getPnlSpan(curve, 95, 105), [-4, 3]);
+    assert.equal(getPnlSpan(curve, 80, 105), null);
+});
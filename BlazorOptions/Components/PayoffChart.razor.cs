@@ -20,13 +20,43 @@ public sealed partial class PayoffChart : ComponentBase, IAsyncDisposable
     [Parameter] public bool ShowCandles { get; set; } = true;
     [Parameter] public bool ShowLegends { get; set; } = true;
     [Parameter] public bool IsDarkTheme { get; set; }
+    [Parameter] public bool LockZoomAxes { get; set; } = true;
+    [Parameter] public double? PriceStep { get; set; }
+    [Parameter] public string? LinkGroup { get; set; }
+    [Parameter] public bool ShowPnlZones { get; set; }
+    [Parameter] public ProbabilityOverlay? ProbabilityOverlay { get; set; }
+    [Parameter] public ExpectedMoveBands? ExpectedMoveBands { get; set; }
+    [Parameter] public IReadOnlyList<GreekPanel>? GreekPanels { get; set; }
+    [Parameter] public bool ShowVolumeProfile { get; set; }
+    [Parameter] public bool ShowOverview { get; set; }
+    [Parameter] public int? CandleIntervalMinutes { get; set; }
+    [Parameter] public bool ShowExtremaMarkers { get; set; } = true;
+    [Parameter] public IReadOnlyList<ChartAnnotation>? Annotations { get; set; }
+    [Parameter] public string? AnnotationMode { get; set; }
+    [Parameter] public IReadOnlyList<PayoffFrame>? PlaybackFrames { get; set; }
+    [Parameter] public int PlaybackFrameMs { get; set; } = 400;
+    [Parameter] public double? PnlCapital { get; set; }
+    [Parameter] public bool ShowPriceDistance { get; set; }
+    [Parameter] public bool LogPriceAxis { get; set; }
+    [Parameter] public IReadOnlyList<PriceAlert>? Alerts { get; set; }
     [Parameter] public ChartRange? Range { get; set; }
     [Parameter] public TimeRange? TimeRange { get; set; }
     [Parameter] public EventCallback<double?> SelectedPriceChanged { get; set; }
     [Parameter] public EventCallback<ChartRange> RangeChanged { get; set; }
     [Parameter] public EventCallback<TimeRange> TimeRangeChanged { get; set; }
+    [Parameter] public EventCallback<int> CandleIntervalApplied { get; set; }
+    [Parameter] public EventCallback<IReadOnlyList<ProbabilityStats>> ProbabilityStatsChanged { get; set; }
+    [Parameter] public EventCallback<IReadOnlyList<ChartAnnotation>> AnnotationsChanged { get; set; }
+    [Parameter] public EventCallback<ChartAnnotation> NoteRequested { get; set; }
+    [Parameter] public EventCallback<IReadOnlyList<StrategyVisibilityChange>> StrategyVisibilityChanged { get; set; }
+    [Parameter] public EventCallback<DateTime> PlaybackDateChanged { get; set; }
+    [Parameter] public EventCallback<PriceMarker> MarkerClicked { get; set; }
+    [Parameter] public EventCallback<PriceMarker> MarkerMoved { get; set; }
+    [Parameter] public EventCallback<ChartContextAction> ContextActionSelected { get; set; }
+    [Parameter] public EventCallback<PriceAlertTriggered> AlertTriggered { get; set; }
 
     private ElementReference _chartDiv;
+    private ElementReference _overlayDiv;
     private IJSObjectReference? _module;
     private DotNetObjectReference<PayoffChart>? _dotNetRef;
     private string? _instanceId;
@@ -36,6 +66,26 @@ public sealed partial class PayoffChart : ComponentBase, IAsyncDisposable
     private ObservableCollection<CandlePoint>? _lastCandles;
     private bool _lastShowCandles;
     private bool _lastIsDarkTheme;
+    private bool _lastLockZoomAxes;
+    private double? _lastPriceStep;
+    private string? _lastLinkGroup;
+    private bool _lastShowPnlZones;
+    private ProbabilityOverlay? _lastProbabilityOverlay;
+    private ExpectedMoveBands? _lastExpectedMoveBands;
+    private IReadOnlyList<GreekPanel>? _lastGreekPanels;
+    private bool _lastShowVolumeProfile;
+    private bool _lastShowOverview;
+    private int? _lastCandleIntervalMinutes;
+    private bool _lastShowExtremaMarkers;
+    private IReadOnlyList<ChartAnnotation>? _lastAnnotations;
+    private string? _lastAnnotationMode;
+    private IReadOnlyList<PayoffFrame>? _lastPlaybackFrames;
+    private int _lastPlaybackFrameMs;
+    private double? _lastPnlCapital;
+    private bool _lastShowPriceDistance;
+    private bool _lastLogPriceAxis;
+    private IReadOnlyList<PriceAlert>? _lastAlerts;
+    private bool _candlesResyncPending;
     private TimeRange? _lastTimeRangeFromUser;
     private ChartRange? _lastRangeFromUser;
     private ChartRange? _lastRangeParam;
@@ -43,6 +93,10 @@ public sealed partial class PayoffChart : ComponentBase, IAsyncDisposable
     private IReadOnlyList<StrategySeries>? _subscribedStrategies;
     private readonly Dictionary<string, CancellationTokenSource> _debounceTokens = new();
     private bool _hasRendered;
+    private bool _chromeChanged;
+    private bool _legendHasHidden;
+    private bool _disposed;
+    private IReadOnlyList<ProbabilityStats> _probabilityStats = Array.Empty<ProbabilityStats>();
 
     protected override async Task OnAfterRenderAsync(bool firstRender)
     {
@@ -54,8 +108,25 @@ public sealed partial class PayoffChart : ComponentBase, IAsyncDisposable
         _hasRendered = true;
         _module = await JS.InvokeAsync<IJSObjectReference>("import", "./js/payoffChart.js");
         _dotNetRef = DotNetObjectReference.Create(this);
-        _instanceId = await _module.InvokeAsync<string>("init", _chartDiv, _dotNetRef);
+        _instanceId = await _module.InvokeAsync<string>("init", _chartDiv, _dotNetRef, _overlayDiv);
+        await _module.InvokeVoidAsync("setZoomOptions", _instanceId, BuildZoomOptions());
+        await _module.InvokeVoidAsync("setKeyboardOptions", _instanceId, BuildKeyboardOptions());
+        await _module.InvokeVoidAsync("setLinkGroup", _instanceId, LinkGroup);
+        await _module.InvokeVoidAsync("setPnlZones", _instanceId, ShowPnlZones);
+        await _module.InvokeVoidAsync("setProbabilityOverlay", _instanceId, ProbabilityOverlay);
+        await _module.InvokeVoidAsync("setExpectedMoveBands", _instanceId, ExpectedMoveBands);
+        await _module.InvokeVoidAsync("setGreekPanels", _instanceId, GreekPanels ?? Array.Empty<GreekPanel>());
+        await _module.InvokeVoidAsync("setVolumeProfile", _instanceId, ShowVolumeProfile);
+        await _module.InvokeVoidAsync("setOverview", _instanceId, ShowOverview);
+        await _module.InvokeVoidAsync("setCandleInterval", _instanceId, GetCandleIntervalMs());
+        await _module.InvokeVoidAsync("setExtremaMarkers", _instanceId, ShowExtremaMarkers);
+        await _module.InvokeVoidAsync("setAnnotations", _instanceId, Annotations ?? Array.Empty<ChartAnnotation>());
+        await _module.InvokeVoidAsync("setAnnotationMode", _instanceId, AnnotationMode);
+        await _module.InvokeVoidAsync("setDisplayMode", _instanceId, BuildDisplayOptions());
+        await _module.InvokeVoidAsync("setPriceScale", _instanceId, LogPriceAxis ? "log" : "linear");
+        await _module.InvokeVoidAsync("setAlerts", _instanceId, Alerts ?? Array.Empty<PriceAlert>());
         await _module.InvokeVoidAsync("setOption", _instanceId, BuildOption());
+        await _module.InvokeVoidAsync("setPlaybackFrames", _instanceId, PlaybackFrames ?? Array.Empty<PayoffFrame>(), PlaybackFrameMs);
 
         _lastStrategies = Strategies;
         _lastSelectedPrice = SelectedPrice;
@@ -63,6 +134,25 @@ public sealed partial class PayoffChart : ComponentBase, IAsyncDisposable
         _lastCandles = Candles;
         _lastShowCandles = ShowCandles;
         _lastIsDarkTheme = IsDarkTheme;
+        _lastLockZoomAxes = LockZoomAxes;
+        _lastPriceStep = PriceStep;
+        _lastLinkGroup = LinkGroup;
+        _lastShowPnlZones = ShowPnlZones;
+        _lastProbabilityOverlay = ProbabilityOverlay;
+        _lastExpectedMoveBands = ExpectedMoveBands;
+        _lastGreekPanels = GreekPanels;
+        _lastShowVolumeProfile = ShowVolumeProfile;
+        _lastShowOverview = ShowOverview;
+        _lastCandleIntervalMinutes = CandleIntervalMinutes;
+        _lastShowExtremaMarkers = ShowExtremaMarkers;
+        _lastAnnotations = Annotations;
+        _lastAnnotationMode = AnnotationMode;
+        _lastPlaybackFrames = PlaybackFrames;
+        _lastPlaybackFrameMs = PlaybackFrameMs;
+        _lastPnlCapital = PnlCapital;
+        _lastShowPriceDistance = ShowPriceDistance;
+        _lastLogPriceAxis = LogPriceAxis;
+        _lastAlerts = Alerts;
         _lastRangeParam = Range;
         _lastTimeRangeParam = TimeRange;
         SubscribeStrategies(Strategies);
@@ -89,8 +179,21 @@ public sealed partial class PayoffChart : ComponentBase, IAsyncDisposable
 
     protected override bool ShouldRender()
     {
-        // The chart is driven by JS interop; avoid rerendering the Razor subtree.
-        return !_hasRendered;
+        // The chart is driven by JS interop; after the first render only the badge and buttons around it re-render.
+        if (!_hasRendered)
+        {
+            return true;
+        }
+
+        var render = _chromeChanged;
+        _chromeChanged = false;
+        return render;
+    }
+
+    private void RenderChrome()
+    {
+        _chromeChanged = true;
+        StateHasChanged();
     }
 
     protected override async Task OnParametersSetAsync()
@@ -143,6 +246,117 @@ public sealed partial class PayoffChart : ComponentBase, IAsyncDisposable
             _lastIsDarkTheme = IsDarkTheme;
         }
 
+        if (_lastLockZoomAxes != LockZoomAxes)
+        {
+            _lastLockZoomAxes = LockZoomAxes;
+            await _module.InvokeVoidAsync("setZoomOptions", _instanceId, BuildZoomOptions());
+        }
+
+        if (_lastPriceStep != PriceStep)
+        {
+            _lastPriceStep = PriceStep;
+            await _module.InvokeVoidAsync("setKeyboardOptions", _instanceId, BuildKeyboardOptions());
+        }
+
+        if (!string.Equals(_lastLinkGroup, LinkGroup, StringComparison.Ordinal))
+        {
+            _lastLinkGroup = LinkGroup;
+            await _module.InvokeVoidAsync("setLinkGroup", _instanceId, LinkGroup);
+        }
+
+        if (_lastShowPnlZones != ShowPnlZones)
+        {
+            _lastShowPnlZones = ShowPnlZones;
+            await _module.InvokeVoidAsync("setPnlZones", _instanceId, ShowPnlZones);
+        }
+
+        if (!Equals(_lastProbabilityOverlay, ProbabilityOverlay))
+        {
+            _lastProbabilityOverlay = ProbabilityOverlay;
+            await _module.InvokeVoidAsync("setProbabilityOverlay", _instanceId, ProbabilityOverlay);
+        }
+
+        if (!Equals(_lastExpectedMoveBands, ExpectedMoveBands))
+        {
+            _lastExpectedMoveBands = ExpectedMoveBands;
+            await _module.InvokeVoidAsync("setExpectedMoveBands", _instanceId, ExpectedMoveBands);
+        }
+
+        if (!ReferenceEquals(_lastGreekPanels, GreekPanels))
+        {
+            _lastGreekPanels = GreekPanels;
+            await _module.InvokeVoidAsync("setGreekPanels", _instanceId, GreekPanels ?? Array.Empty<GreekPanel>());
+        }
+
+        if (_lastShowVolumeProfile != ShowVolumeProfile)
+        {
+            _lastShowVolumeProfile = ShowVolumeProfile;
+            await _module.InvokeVoidAsync("setVolumeProfile", _instanceId, ShowVolumeProfile);
+        }
+
+        if (_lastShowOverview != ShowOverview)
+        {
+            _lastShowOverview = ShowOverview;
+            await _module.InvokeVoidAsync("setOverview", _instanceId, ShowOverview);
+        }
+
+        if (_lastCandleIntervalMinutes != CandleIntervalMinutes)
+        {
+            _lastCandleIntervalMinutes = CandleIntervalMinutes;
+            await _module.InvokeVoidAsync("setCandleInterval", _instanceId, GetCandleIntervalMs());
+        }
+
+        if (_lastShowExtremaMarkers != ShowExtremaMarkers)
+        {
+            _lastShowExtremaMarkers = ShowExtremaMarkers;
+            await _module.InvokeVoidAsync("setExtremaMarkers", _instanceId, ShowExtremaMarkers);
+        }
+
+        if (!ReferenceEquals(_lastAnnotations, Annotations))
+        {
+            _lastAnnotations = Annotations;
+            await _module.InvokeVoidAsync("setAnnotations", _instanceId, Annotations ?? Array.Empty<ChartAnnotation>());
+        }
+
+        if (!string.Equals(_lastAnnotationMode, AnnotationMode, StringComparison.Ordinal))
+        {
+            _lastAnnotationMode = AnnotationMode;
+            await _module.InvokeVoidAsync("setAnnotationMode", _instanceId, AnnotationMode);
+        }
+
+        if (_lastPnlCapital != PnlCapital || _lastShowPriceDistance != ShowPriceDistance)
+        {
+            // The badge formats its P&L with the capital, so it re-renders with the new mode.
+            _chromeChanged |= _lastPnlCapital != PnlCapital;
+            _lastPnlCapital = PnlCapital;
+            _lastShowPriceDistance = ShowPriceDistance;
+            await _module.InvokeVoidAsync("setDisplayMode", _instanceId, BuildDisplayOptions());
+        }
+
+        if (_lastLogPriceAxis != LogPriceAxis)
+        {
+            _lastLogPriceAxis = LogPriceAxis;
+            await _module.InvokeVoidAsync("setPriceScale", _instanceId, LogPriceAxis ? "log" : "linear");
+        }
+
+        if (!ReferenceEquals(_lastAlerts, Alerts))
+        {
+            _lastAlerts = Alerts;
+            await _module.InvokeVoidAsync("setAlerts", _instanceId, Alerts ?? Array.Empty<PriceAlert>());
+        }
+
+        if (!ReferenceEquals(_lastPlaybackFrames, PlaybackFrames))
+        {
+            _lastPlaybackFrames = PlaybackFrames;
+            _lastPlaybackFrameMs = PlaybackFrameMs;
+            await _module.InvokeVoidAsync("setPlaybackFrames", _instanceId, PlaybackFrames ?? Array.Empty<PayoffFrame>(), PlaybackFrameMs);
+        }
+        else if (_lastPlaybackFrameMs != PlaybackFrameMs)
+        {
+            _lastPlaybackFrameMs = PlaybackFrameMs;
+            await _module.InvokeVoidAsync("setPlaybackFrameMs", _instanceId, PlaybackFrameMs);
+        }
+
         if (!Equals(_lastRangeParam, Range) || !Equals(_lastTimeRangeParam, TimeRange))
         {
             _lastRangeParam = Range;
@@ -195,6 +409,168 @@ public sealed partial class PayoffChart : ComponentBase, IAsyncDisposable
         }
     }
 
+    [JSInvokable]
+    public async Task OnCandleIntervalApplied(double intervalMs)
+    {
+        // Minutes the candles are drawn at; differs from CandleIntervalMinutes when the loaded candles can't build it.
+        if (CandleIntervalApplied.HasDelegate)
+        {
+            await CandleIntervalApplied.InvokeAsync((int)Math.Round(intervalMs / 60_000));
+        }
+    }
+
+    [JSInvokable]
+    public async Task OnProbabilityStatsChanged(ProbabilityStats[] stats)
+    {
+        _probabilityStats = stats;
+        RenderChrome();
+        if (ProbabilityStatsChanged.HasDelegate)
+        {
+            await ProbabilityStatsChanged.InvokeAsync(stats);
+        }
+    }
+
+    private string FormatProbabilityBadge()
+    {
+        return PayoffChartHelpers.FormatProbabilityBadge(_probabilityStats, PnlCapital);
+    }
+
+    [JSInvokable]
+    public async Task OnAnnotationsChanged(ChartAnnotation[] annotations)
+    {
+        // The chart already shows this list; remember it so the parent binding it back doesn't echo it to JS.
+        _lastAnnotations = annotations;
+        if (AnnotationsChanged.HasDelegate)
+        {
+            await AnnotationsChanged.InvokeAsync(annotations);
+        }
+    }
+
+    [JSInvokable]
+    public async Task OnNoteRequested(string id, double price, double pnl)
+    {
+        // The page asks for the text, then adds the note with it to Annotations.
+        if (NoteRequested.HasDelegate)
+        {
+            await NoteRequested.InvokeAsync(new ChartAnnotation(id, "note", price, pnl, null));
+        }
+    }
+
+    // Mode is "strikes", "breakevens" (value = padding %), "percent" (value = ±% around the selected price) or "candles".
+    public async Task<bool> FitRangeAsync(string mode, double? value = null)
+    {
+        if (_module == null || _instanceId == null)
+        {
+            return false;
+        }
+
+        return await _module.InvokeAsync<bool>("fitRange", _instanceId, mode, value);
+    }
+
+    public async Task PinSnapshotAsync(string label)
+    {
+        if (_module != null && _instanceId != null)
+        {
+            await _module.InvokeVoidAsync("pinSnapshot", _instanceId, label);
+        }
+    }
+
+    public async Task ClearSnapshotsAsync(string? label = null)
+    {
+        if (_module != null && _instanceId != null)
+        {
+            await _module.InvokeVoidAsync("clearSnapshots", _instanceId, label);
+        }
+    }
+
+    [JSInvokable]
+    public async Task OnMarkerClick(string id)
+    {
+        var marker = Markers.FirstOrDefault(m => m.Id == id);
+        if (marker != null && MarkerClicked.HasDelegate)
+        {
+            await MarkerClicked.InvokeAsync(marker);
+        }
+    }
+
+    [JSInvokable]
+    public async Task OnMarkerMoved(string id, double price)
+    {
+        var marker = Markers.FirstOrDefault(m => m.Id == id);
+        if (marker != null && MarkerMoved.HasDelegate)
+        {
+            // The parent decides whether the new price sticks, e.g. by amending the order and rebuilding the markers.
+            await MarkerMoved.InvokeAsync(marker with { Price = price });
+        }
+    }
+
+    [JSInvokable]
+    public async Task OnContextAction(string action, double price, ChartStrategyPnl[] strategyPnls)
+    {
+        // Selecting the price, resetting the zoom and copying already happened in JS, and notes went through
+        // OnNoteRequested; alerts are up to the page.
+        if (ContextActionSelected.HasDelegate)
+        {
+            await ContextActionSelected.InvokeAsync(new ChartContextAction(action, price, strategyPnls));
+        }
+    }
+
+    [JSInvokable]
+    public async Task OnAlertTriggered(string id, double value)
+    {
+        var alert = Alerts?.FirstOrDefault(a => a.Id == id);
+        if (alert != null && AlertTriggered.HasDelegate)
+        {
+            await AlertTriggered.InvokeAsync(new PriceAlertTriggered(alert, value));
+        }
+    }
+
+    [JSInvokable]
+    public async Task OnPlaybackStopped(DateTime valuationDate)
+    {
+        if (PlaybackDateChanged.HasDelegate)
+        {
+            await PlaybackDateChanged.InvokeAsync(valuationDate);
+        }
+    }
+
+    [JSInvokable]
+    public async Task OnLegendVisibilityChanged(Dictionary<string, bool> selected)
+    {
+        _legendHasHidden = selected.Values.Any(visible => !visible);
+        RenderChrome();
+        if (!StrategyVisibilityChanged.HasDelegate)
+        {
+            return;
+        }
+
+        // The parent owns StrategySeries.Visible; once it applies the change, the rebuilt option carries it back.
+        var changes = PayoffChartHelpers.GetVisibilityChanges(Strategies, selected);
+        if (changes.Count > 0)
+        {
+            await StrategyVisibilityChanged.InvokeAsync(changes);
+        }
+    }
+
+    private async Task ShowAllSeries()
+    {
+        if (_module != null && _instanceId != null)
+        {
+            await _module.InvokeVoidAsync("showAllSeries", _instanceId);
+        }
+    }
+
+    // Without a StrategyVisibilityChanged handler the legend toggles stay in JS, so the button follows what it reported.
+    private bool HasHiddenStrategies => ShowLegends && (StrategyVisibilityChanged.HasDelegate
+        ? Strategies.Any(s => !s.Visible)
+        : _legendHasHidden);
+
+    [JSInvokable]
+    public Task OnAutoScaleReset()
+    {
+        return ResetAutoScale();
+    }
+
     private async Task ResetAutoScale()
     {
         _lastRangeFromUser = null;
@@ -206,6 +582,27 @@ public sealed partial class PayoffChart : ComponentBase, IAsyncDisposable
         }
     }
 
+    private object BuildZoomOptions()
+    {
+        return new { lockAxes = LockZoomAxes };
+    }
+
+    private object BuildDisplayOptions()
+    {
+        return new { pnlCapital = PnlCapital, priceDistance = ShowPriceDistance };
+    }
+
+    private long GetCandleIntervalMs()
+    {
+        return CandleIntervalMinutes is > 0 ? CandleIntervalMinutes.Value * 60_000L : 0;
+    }
+
+    private object BuildKeyboardOptions()
+    {
+        // Shift+arrow moves ten ticks; without an explicit step the chart derives one from the visible price span.
+        return new { priceStep = PriceStep, largeStepMultiplier = 10 };
+    }
+
     private object BuildOption()
     {
         var series = new List<object>();
@@ -230,8 +627,11 @@ public sealed partial class PayoffChart : ComponentBase, IAsyncDisposable
             }
         }
 
-        var visibleStrategies = Strategies
-            .Where(s => s.Visible)
+        // When the page owns visibility through the legend, hidden strategies stay in the option so they can be toggled
+        // back on from it; otherwise Visible = false leaves them out and the legend keeps its own toggles in JS.
+        var ownsVisibility = ShowLegends && StrategyVisibilityChanged.HasDelegate;
+        var chartStrategies = Strategies
+            .Where(s => ownsVisibility || s.Visible)
             .Select(strategy => new
             {
                 Strategy = strategy,
@@ -240,7 +640,7 @@ public sealed partial class PayoffChart : ComponentBase, IAsyncDisposable
             })
             .ToArray();
 
-        foreach (var entry in visibleStrategies)
+        foreach (var entry in chartStrategies)
         {
             var strategy = entry.Strategy;
             series.Add(BuildSeries(strategy, isTemp: true));
@@ -333,11 +733,12 @@ public sealed partial class PayoffChart : ComponentBase, IAsyncDisposable
                 itemWidth = 12,
                 itemHeight = 8,
                 textStyle = new { fontSize = 11, color = axisText },
-                data = visibleStrategies
+                data = chartStrategies
                     .Where(s => s.HasTempSeries || s.HasExpiredSeries)
                     .Select(s => s.Strategy.Name)
                     .Distinct()
                     .ToArray(),
+                selected = ownsVisibility ? PayoffChartHelpers.BuildLegendSelection(chartStrategies.Select(s => s.Strategy)) : null,
                 selectedMode = true,
                 hoverLink = false
             } : null,
@@ -470,7 +871,7 @@ public sealed partial class PayoffChart : ComponentBase, IAsyncDisposable
         var result = new List<object>();
         var candleData = (Candles == null || Candles.Count == 0)
             ? Array.Empty<object[]>()
-            : Candles.Select(c => new object[] { c.Time, c.Open, c.Close, c.Low, c.High }).ToArray();
+            : Candles.Select(c => new object[] { c.Time, c.Open, c.Close, c.Low, c.High, c.Volume }).ToArray();
 
         result.Add(new
         {
@@ -478,7 +879,7 @@ public sealed partial class PayoffChart : ComponentBase, IAsyncDisposable
             name = "Ticker Candles",
             type = "custom",
             coordinateSystem = "cartesian2d",
-            dimensions = new[] { "time", "open", "close", "low", "high" },
+            dimensions = new[] { "time", "open", "close", "low", "high", "volume" },
             encode = new { x = new[] { 1, 2, 3, 4 }, y = 0 },
             renderKind = "tickerCandles",
             xAxisIndex = 0,
@@ -690,6 +1091,7 @@ public sealed partial class PayoffChart : ComponentBase, IAsyncDisposable
 
     public async ValueTask DisposeAsync()
     {
+        _disposed = true;
         if (_module != null && _instanceId != null)
         {
             await _module.InvokeVoidAsync("dispose", _instanceId);
@@ -756,6 +1158,11 @@ public sealed partial class PayoffChart : ComponentBase, IAsyncDisposable
             return;
         }
 
+        if (e.PropertyName == nameof(StrategySeries.Visible))
+        {
+            await InvokeAsync(RenderChrome);
+        }
+
         await DebounceJsAsync("strategies", 500, async () =>
         {
             if (_module == null || _instanceId == null)
@@ -804,7 +1211,12 @@ public sealed partial class PayoffChart : ComponentBase, IAsyncDisposable
             return;
         }
 
-        await DebounceJsAsync("candles", 200, () => _module.InvokeVoidAsync("updateCandles", _instanceId, Candles).AsTask());
+        _candlesResyncPending = true;
+        await DebounceJsAsync("candles", 200, () =>
+        {
+            _candlesResyncPending = false;
+            return _module.InvokeVoidAsync("updateCandles", _instanceId, Candles).AsTask();
+        });
     }
 
     private void SubscribeCollection(ObservableCollection<StrategySeries>? strategies)
@@ -893,7 +1305,7 @@ public sealed partial class PayoffChart : ComponentBase, IAsyncDisposable
 
     private async void OnCandlesCollectionChanged(object? sender, System.Collections.Specialized.NotifyCollectionChangedEventArgs e)
     {
-        if (_module == null || _instanceId == null)
+        if (_disposed || _module == null || _instanceId == null)
         {
             return;
         }
@@ -903,6 +1315,40 @@ public sealed partial class PayoffChart : ComponentBase, IAsyncDisposable
             return;
         }
 
+        // Live ticks only touch the last bar; send just that bar unless a full resync is already queued.
+        if (!_candlesResyncPending && PayoffChartHelpers.TryGetStreamedCandle(e, Candles.Count, out var method, out var candle))
+        {
+            await StreamCandleAsync(method, candle);
+            return;
+        }
+
         await ScheduleCandlesUpdate();
     }
+
+    // Ticks skip the debounce, and this runs from an async void handler, so interop failures must not escape.
+    private async Task StreamCandleAsync(string method, CandlePoint candle)
+    {
+        if (_disposed || _module == null || _instanceId == null)
+        {
+            return;
+        }
+
+        try
+        {
+            await _module.InvokeVoidAsync(method, _instanceId, candle);
+        }
+        catch (JSDisconnectedException)
+        {
+            // the circuit is gone; nothing left to update
+        }
+        catch (ObjectDisposedException)
+        {
+            // the chart was disposed while the tick was in flight
+        }
+        catch (JSException)
+        {
+            // The chart missed this bar, so a full sync puts it back in step.
+            await ScheduleCandlesUpdate();
+        }
+    }
 }
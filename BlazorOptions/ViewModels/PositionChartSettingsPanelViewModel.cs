@@ -15,6 +15,7 @@ public sealed class PositionChartSettingsPanelViewModel : Bindable
     private readonly Func<Task> _toggleDayMinMaxMarkers;
     private readonly Func<Task> _toggleOrderMarkers;
     private readonly Func<Task> _toggleSkewShift;
+    private readonly Func<Task> _cycleCandleInterval;
 
     public PositionChartSettingsPanelViewModel(
         PositionViewModel positionViewModel,
@@ -25,7 +26,8 @@ public sealed class PositionChartSettingsPanelViewModel : Bindable
         Func<Task> toggleCandles,
         Func<Task> toggleDayMinMaxMarkers,
         Func<Task> toggleOrderMarkers,
-        Func<Task> toggleSkewShift)
+        Func<Task> toggleSkewShift,
+        Func<Task> cycleCandleInterval)
     {
         _positionViewModel = positionViewModel;
         _positionPnlCalculator = positionPnlCalculator;
@@ -36,6 +38,7 @@ public sealed class PositionChartSettingsPanelViewModel : Bindable
         _toggleDayMinMaxMarkers = toggleDayMinMaxMarkers;
         _toggleOrderMarkers = toggleOrderMarkers;
         _toggleSkewShift = toggleSkewShift;
+        _cycleCandleInterval = cycleCandleInterval;
     }
 
     public string TotalPnlText => $"Total P/L: {FormatPrice(ResolveTotalCombinedPnl())} ({FormatPercent(ResolveTotalCombinedPnlPercent())})";
@@ -52,6 +55,8 @@ public sealed class PositionChartSettingsPanelViewModel : Bindable
 
     public bool ShowSkewShift => _positionViewModel.ShowSkewShift;
 
+    public string CandleIntervalText => FormatInterval(_positionViewModel.ChartCandleIntervalMinutes);
+
     public decimal? SelectedPrice => _positionViewModel.SelectedPrice;
 
     public DateTime MinDateTimeUtc => DateTime.UtcNow;
@@ -78,6 +83,8 @@ public sealed class PositionChartSettingsPanelViewModel : Bindable
 
     public Task ToggleSkewShiftAsync() => _toggleSkewShift();
 
+    public Task CycleCandleIntervalAsync() => _cycleCandleInterval();
+
     public Task SetSelectedPriceAsync(decimal? price) => _selectedPriceChanged(price);
 
     public Task SetValuationDateAsync(DateTime dateTimeUtc) => _valuationDateChanged(dateTimeUtc);
@@ -145,6 +152,11 @@ public sealed class PositionChartSettingsPanelViewModel : Bindable
             ResolvePortfolioEntryValue());
     }
 
+    public static string FormatInterval(int minutes)
+    {
+        return minutes % 1440 == 0 ? $"{minutes / 1440}d" : minutes % 60 == 0 ? $"{minutes / 60}h" : $"{minutes}m";
+    }
+
     private static string FormatPrice(decimal? price)
     {
         return price.HasValue ? price.Value.ToString("0.00") : "-";
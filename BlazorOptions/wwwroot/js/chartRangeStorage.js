@@ -1,3 +1,5 @@
+import { normalizeAnnotation } from './payoffChartHelpers.js';
+
 function normalizeRange(range) {
     if (!range) {
         return null;
@@ -92,3 +94,39 @@ export function setTimeIntervalMs(storageKey, intervalMs) {
         // ignore storage failures (private mode, quota)
     }
 }
+
+export function getAnnotations(storageKey) {
+    if (!storageKey) {
+        return [];
+    }
+
+    try {
+        const raw = localStorage.getItem(storageKey);
+        if (!raw) {
+            return [];
+        }
+
+        const parsed = JSON.parse(raw);
+        return Array.isArray(parsed) ? parsed.map(normalizeAnnotation).filter(Boolean) : [];
+    } catch {
+        return [];
+    }
+}
+
+export function setAnnotations(storageKey, annotations) {
+    if (!storageKey) {
+        return;
+    }
+
+    const normalized = Array.isArray(annotations) ? annotations.map(normalizeAnnotation).filter(Boolean) : [];
+    try {
+        if (normalized.length === 0) {
+            localStorage.removeItem(storageKey);
+            return;
+        }
+
+        localStorage.setItem(storageKey, JSON.stringify(normalized));
+    } catch {
+        // ignore storage failures (private mode, quota)
+    }
+}
@@ -1,8 +1,32 @@
+import {
+    getProbabilityModel,
+    lognormalDensity,
+    integratePayoff,
+    getAggregationInterval,
+    getCandleSpacing,
+    aggregateCandles,
+    interpolatePnl,
+    findVisibleExtrema,
+    normalizeAnnotation,
+    findZeroCrossings,
+    diffSeriesById,
+    usesLogScale,
+    toPriceScale,
+    fromPriceScale,
+    inPriceScale,
+    getStrategyPnls,
+    getCandleMoveExtremes,
+    findTriggeredAlerts
+} from './payoffChartHelpers.js';
+
 const instances = new Map();
 let nextId = 1;
-const candleMetaBySeries = new Map();
+const linkGroups = new Map();
+let nextAnnotationId = 1;
+const overviewLayout = { height: 30, bottom: 6, legendBottom: 22 };
 
-export function init(element, dotNetRef) {
+// overlayHost is an element next to the chart that only this module adds children to.
+export function init(element, dotNetRef, overlayHost) {
     const chart = echarts.init(element, null, { renderer: 'canvas', useDirtyRect: true });
     const instanceId = `payoff_${nextId++}`;
 
@@ -22,9 +46,14 @@ export function init(element, dotNetRef) {
         if (!params || !params.event) {
             return;
         }
+        const clickPoint = [params.event.zrX, params.event.zrY];
+        if (instance.annotationMode || findAnnotationAtPoint(instance, clickPoint) || findMarkerAtPoint(instance, clickPoint)) {
+            // Annotation and marker clicks are routed through selectPriceAtPoint from the zrender handler.
+            return;
+        }
 
         if (Array.isArray(params.value) && Number.isFinite(params.value[0])) {
-            instance.dotNetRef.invokeMethodAsync('OnChartClick', params.value[0]);
+            selectPrice(instance, params.value[0]);
             return;
         }
 
@@ -41,6 +70,7 @@ export function init(element, dotNetRef) {
         rangeTimer: null,
         axisDrag: null,
         rangeOverride: null,
+        emittedRangeX: null,
         isDragging: false,
         clickState: null,
         pointerClick: null,
@@ -60,7 +90,59 @@ export function init(element, dotNetRef) {
         currentRangeY: null,
         currentRangeTime: null,
         preserveRange: false,
-        pinnedRangeY: null
+        pinnedRangeY: null,
+        zoomAxesLocked: true,
+        wheelHandler: null,
+        pointerCancelHandler: null,
+        touchPointers: new Map(),
+        pinch: null,
+        keyDownHandler: null,
+        priceStep: null,
+        largeStepMultiplier: 10,
+        rangeUndo: [],
+        rangeRedo: [],
+        pendingHistoryView: null,
+        candleMeta: new Map(),
+        linkGroup: null,
+        showPnlZones: false,
+        probability: null,
+        probabilityStatsKey: '[]',
+        expectedMove: null,
+        greekPanels: [],
+        showVolumeProfile: false,
+        candleData: [],
+        candleIntervalMs: 0,
+        aggregationIntervalMs: 0,
+        reportedIntervalMs: 0,
+        showExtrema: true,
+        annotations: [],
+        annotationMode: null,
+        activeAnnotationId: null,
+        annotationDrag: null,
+        showOverview: false,
+        overviewExtent: null,
+        longPressTimer: null,
+        inspecting: false,
+        lastTap: null,
+        lastPointerAltKey: false,
+        lastLegendClick: null,
+        overlayHost,
+        playback: null,
+        playbackControls: null,
+        pendingUpdate: null,
+        flushFrame: 0,
+        snapshots: [],
+        pnlCapital: null,
+        priceDistance: false,
+        logPrice: false,
+        markerDrag: null,
+        deferredMarkers: null,
+        markerCard: null,
+        contextMenu: null,
+        contextMenuHandler: null,
+        alerts: [],
+        triggeredAlerts: new Set(),
+        alertPrices: { selected: null, live: null, liveBar: null }
     };
     instance.touchHandler = (evt) => {
         if (!evt.cancelable) {
@@ -72,21 +154,38 @@ export function init(element, dotNetRef) {
             return;
         }
 
+        if (evt.touches.length > 1) {
+            // Keep the browser from page-zooming while a pinch drives the chart ranges.
+            evt.preventDefault();
+            return;
+        }
+
         const rect = instance.chart.getDom().getBoundingClientRect();
         const point = [touch.clientX - rect.left, touch.clientY - rect.top];
         const mode = getAxisDragMode(instance.chart, point);
-        if (mode === 'plot' || mode === 'x' || mode === 'y') {
+        if (mode === 'plot' || mode === 'panel' || mode === 'overview' || mode === 'x' || mode === 'y') {
             evt.preventDefault();
         }
     };
     instance.pointerDownHandler = (evt) => handlePointerDown(instance, evt);
     instance.pointerMoveHandler = (evt) => handlePointerMove(instance, evt);
     instance.pointerUpHandler = (evt) => handlePointerUp(instance, evt);
+    instance.pointerCancelHandler = (evt) => handlePointerCancel(instance, evt);
     instance.domClickHandler = (evt) => handleDomClick(instance, evt);
+    instance.wheelHandler = (evt) => handleWheel(instance, evt);
+    instance.keyDownHandler = (evt) => handleKeyDown(instance, evt);
+    instance.contextMenuHandler = (evt) => handleContextMenu(instance, evt);
+    if (element.tabIndex < 0) {
+        element.tabIndex = 0;
+    }
     element.addEventListener('pointerdown', instance.pointerDownHandler);
     element.addEventListener('pointermove', instance.pointerMoveHandler);
     element.addEventListener('pointerup', instance.pointerUpHandler);
+    element.addEventListener('pointercancel', instance.pointerCancelHandler);
     element.addEventListener('click', instance.domClickHandler);
+    element.addEventListener('wheel', instance.wheelHandler, { passive: false });
+    element.addEventListener('keydown', instance.keyDownHandler);
+    element.addEventListener('contextmenu', instance.contextMenuHandler);
     element.addEventListener('touchstart', instance.touchHandler, { passive: false });
     element.addEventListener('touchmove', instance.touchHandler, { passive: false });
 
@@ -94,11 +193,15 @@ export function init(element, dotNetRef) {
     chart.on('legendselectchanged', (params) => handleLegendToggle(instance, params));
     zr.on('mousedown', (evt) => handleAxisDragStart(instance, evt));
     zr.on('mousemove', (evt) => handleAxisDragMove(instance, evt));
+    zr.on('mousemove', (evt) => handleLinkedHover(instance, evt));
     zr.on('mouseup', () => handleAxisDragEnd(instance));
     zr.on('globalout', () => handleAxisDragEnd(instance));
+    zr.on('globalout', () => handleLinkedHoverOut(instance));
+    zr.on('globalout', () => hideMarkerCard(instance));
     zr.on('touchstart', (evt) => handleAxisDragStart(instance, evt));
     zr.on('touchmove', (evt) => handleAxisDragMove(instance, evt));
     zr.on('touchend', () => handleAxisDragEnd(instance));
+    zr.on('dblclick', (evt) => removeAnnotationAtPoint(instance, getPoint(evt)));
     instances.set(instanceId, instance);
 
     return instanceId;
@@ -110,18 +213,103 @@ export function setOption(instanceId, option) {
         return;
     }
 
+    // The option carries the full candle set, so candle patches queued before it are stale.
+    queueUpdate(instance, { option, candleData: undefined, candleTicks: undefined });
+}
+
+// Interop updates are queued and flushed once per animation frame; a newer value for the same slot replaces the older one.
+function queueUpdate(instance, patch) {
+    instance.pendingUpdate = { ...(instance.pendingUpdate ?? {}), ...patch };
+    if (!instance.flushFrame) {
+        instance.flushFrame = requestAnimationFrame(() => flushUpdates(instance));
+    }
+}
+
+function flushUpdates(instance) {
+    instance.flushFrame = 0;
+    const pending = instance.pendingUpdate;
+    instance.pendingUpdate = null;
+    if (!pending) {
+        return;
+    }
+
+    let markersApplied = false;
+    if (pending.markers && instance.markerDrag) {
+        // Swapping the list mid-drag would yank the dragged marker back, so new markers wait for the drop.
+        instance.deferredMarkers = pending.markers;
+        pending.markers = null;
+    }
+    if (pending.markers) {
+        instance.markers = pending.markers;
+    }
+    if (pending.option) {
+        if (instance.playback && !instance.playback.playing) {
+            // A stopped playback hands the T+0 curves back to .NET with its next option.
+            restoreLiveSeries(instance);
+            instance.playback.active = false;
+        }
+        renderOption(instance, pending.option, true);
+        markersApplied = true;
+    } else if (pending.render && instance.lastOption) {
+        renderOption(instance, instance.lastOption);
+        markersApplied = true;
+    }
+    if (pending.candleData) {
+        applyCandleData(instance, pending.candleData);
+        seedLiveAlertPrice(instance);
+    }
+    if (pending.candleTicks) {
+        applyCandleTicks(instance, pending.candleTicks);
+    }
+    if (pending.hasSelectedPrice) {
+        applySelectedPrice(instance, pending.selectedPrice);
+        markersApplied = true;
+    }
+    if (pending.markers && !markersApplied) {
+        applyMarkers(instance);
+    }
+}
+
+// Setters that only change how the cached option is drawn share the frame's flush; a queued option renders them anyway.
+function queueRender(instance) {
+    queueUpdate(instance, { render: true });
+}
+
+// Exports that read lastOption apply the queued update first, so they see what the next frame would draw.
+function flushPendingUpdate(instance) {
+    if (instance.flushFrame) {
+        cancelAnimationFrame(instance.flushFrame);
+        flushUpdates(instance);
+    }
+}
+
+function cancelPendingUpdate(instance) {
+    cancelAnimationFrame(instance.flushFrame);
+    instance.flushFrame = 0;
+    instance.pendingUpdate = null;
+}
+
+function renderOption(instance, option, allowPatch) {
     const normalized = normalizeOption(option, instance);
+    syncLegendSelected(instance, normalized);
+    const patch = allowPatch ? diffSeriesById(instance.lastOption, normalized) : null;
     instance.lastOption = normalized;
-    instance.chart.setOption(normalized, { notMerge: true, lazyUpdate: false });
+    if (patch) {
+        if (patch.length > 0) {
+            instance.chart.setOption({ series: patch }, { notMerge: false, lazyUpdate: true });
+        }
+    } else {
+        instance.chart.setOption(normalized, { notMerge: true, lazyUpdate: false });
+    }
 
     cacheSeries(instance, normalized);
     syncAxisRanges(instance, normalized);
-    const hasTimeAxis = Array.isArray(instance.lastOption?.yAxis) && instance.lastOption.yAxis.length > 1;
+    const hasTimeAxis = optionHasTimeAxis(instance.lastOption);
     if (!hasTimeAxis) {
         instance.currentRangeTime = null;
     }
     if (instance.lastOption?.xAxis && instance.currentRangeX) {
-        instance.chart.setOption({ xAxis: { min: instance.currentRangeX.min, max: instance.currentRangeX.max } }, { notMerge: false, lazyUpdate: true });
+        instance.chart.setOption({ xAxis: getXAxisRangeOption(instance, instance.currentRangeX) }, { notMerge: false, lazyUpdate: true });
     }
     if (hasTimeAxis) {
         if (instance.currentRangeY || instance.currentRangeTime) {
@@ -139,7 +327,12 @@ export function setOption(instanceId, option) {
         applyLegendSelection(instance);
     }
     refreshCandleMetaFromOption(instance, normalized);
+    seedLiveAlertPrice(instance);
     applyMarkers(instance);
+    applyAnnotations(instance);
+    applyAlerts(instance);
+    updateProbabilityStats(instance);
+    syncPriceWindow(instance);
 }
 
 export function setSelectedPrice(instanceId, priceOrNull) {
@@ -148,7 +341,12 @@ export function setSelectedPrice(instanceId, priceOrNull) {
         return;
     }
 
+    queueUpdate(instance, { hasSelectedPrice: true, selectedPrice: priceOrNull });
+}
+
+function applySelectedPrice(instance, priceOrNull) {
     instance.selectedPrice = priceOrNull;
+    watchAlerts(instance, 'selected', priceOrNull);
     if (Number.isFinite(priceOrNull)) {
         // Skip auto-centering until payoff series exists; otherwise ECharts can report a tiny default span.
         if (!hasPayoffSeriesData(instance)) {
@@ -163,7 +361,8 @@ export function setSelectedPrice(instanceId, priceOrNull) {
                 const min = priceOrNull - span / 2;
                 const max = priceOrNull + span / 2;
                 instance.currentRangeX = { min, max };
-                instance.chart.setOption({ xAxis: { min, max } }, { notMerge: false, lazyUpdate: true });
+                instance.chart.setOption({ xAxis: getXAxisRangeOption(instance, { min, max }) }, { notMerge: false, lazyUpdate: true });
+                syncPriceWindow(instance);
             }
         }
     }
@@ -193,363 +392,2861 @@ function hasPayoffSeriesData(instance) {
     return false;
 }
 
-export function setMarkers(instanceId, markers) {
+export function setZoomOptions(instanceId, options) {
     const instance = instances.get(instanceId);
     if (!instance) {
         return;
     }
 
-    instance.markers = Array.isArray(markers) ? markers : [];
-    applyMarkers(instance);
+    const lockAxes = options?.lockAxes ?? options?.LockAxes;
+    instance.zoomAxesLocked = lockAxes !== false;
 }
 
-
-export function updateCandles(instanceId, candles) {
+export function setKeyboardOptions(instanceId, options) {
     const instance = instances.get(instanceId);
-    if (!instance || !Array.isArray(candles)) {
+    if (!instance) {
         return;
     }
 
-    let minTime = Number.POSITIVE_INFINITY;
-    let maxTime = Number.NEGATIVE_INFINITY;
-    const candleData = candles.map((c) => {
-        const time = Number.isFinite(c.time) ? c.time : c.Time;
-        const open = Number.isFinite(c.open) ? c.open : c.Open;
-        const high = Number.isFinite(c.high) ? c.high : c.High;
-        const low = Number.isFinite(c.low) ? c.low : c.Low;
-        const close = Number.isFinite(c.close) ? c.close : c.Close;
-        if (Number.isFinite(time)) {
-            minTime = Math.min(minTime, time);
-            maxTime = Math.max(maxTime, time);
-        }
-        return [time, open, close, low, high];
-    });
-
-    const lineData = candleData.map((c) => [c[2], c[0]]);
+    const priceStep = options?.priceStep ?? options?.PriceStep;
+    const largeStepMultiplier = options?.largeStepMultiplier ?? options?.LargeStepMultiplier;
+    instance.priceStep = Number.isFinite(priceStep) && priceStep > 0 ? priceStep : null;
+    instance.largeStepMultiplier = Number.isFinite(largeStepMultiplier) && largeStepMultiplier > 0 ? largeStepMultiplier : 10;
+}
 
-    const option = {
-        series: [
-            { id: '__ticker_candles__', data: candleData },
-            { id: '__ticker_line__', data: lineData }
-        ]
-    };
+export function setPnlZones(instanceId, enabled) {
+    const instance = instances.get(instanceId);
+    if (!instance) {
+        return;
+    }
 
-    const hasTimeAxis = Array.isArray(instance.lastOption?.yAxis) && instance.lastOption.yAxis.length > 1;
-    if (hasTimeAxis && !instance.preserveRange && Number.isFinite(minTime) && Number.isFinite(maxTime)) {
-        instance.currentRangeTime = { min: minTime, max: maxTime };
-        option.yAxis = [{}, { min: minTime, max: maxTime }];
+    const showPnlZones = enabled === true;
+    if (instance.showPnlZones === showPnlZones) {
+        return;
     }
 
-    instance.chart.setOption(option, { notMerge: false, lazyUpdate: true });
-    refreshCandleMeta(instance, candleData);
+    instance.showPnlZones = showPnlZones;
+    queueRender(instance);
 }
 
-function formatPrice(value) {
-    if (!Number.isFinite(value)) {
-        return '';
+export function setProbabilityOverlay(instanceId, options) {
+    const instance = instances.get(instanceId);
+    if (!instance) {
+        return;
     }
 
-    const abs = Math.abs(value);
-    if (abs === 0) {
-        return '0';
+    const spot = options?.spot ?? options?.Spot;
+    const ivPercent = options?.ivPercent ?? options?.IvPercent;
+    const daysToExpiry = options?.daysToExpiry ?? options?.DaysToExpiry;
+    instance.probability = Number.isFinite(spot) && spot > 0 && Number.isFinite(ivPercent) && ivPercent > 0
+        && Number.isFinite(daysToExpiry) && daysToExpiry > 0
+        ? { spot, ivPercent, daysToExpiry }
+        : null;
+    queueRender(instance);
+}
+
+export function setExpectedMoveBands(instanceId, options) {
+    const instance = instances.get(instanceId);
+    if (!instance) {
+        return;
     }
 
-    if (abs >= 100) {
-        return Math.round(value).toString();
+    const ivPercent = options?.ivPercent ?? options?.IvPercent;
+    const daysToExpiry = options?.daysToExpiry ?? options?.DaysToExpiry;
+    instance.expectedMove = Number.isFinite(ivPercent) && ivPercent > 0 && Number.isFinite(daysToExpiry) && daysToExpiry > 0
+        ? { ivPercent, daysToExpiry }
+        : null;
+    applyMarkers(instance);
+}
+
+export function setGreekPanels(instanceId, panels) {
+    const instance = instances.get(instanceId);
+    if (!instance) {
+        return;
     }
 
-    if (abs >= 1) {
-        const rounded = Math.round(value);
-        const hasFraction = Math.abs(value - rounded) > 1e-9;
-        if (hasFraction) {
-            const oneDecimal = value.toFixed(1);
-            return oneDecimal;
-        }
-        return rounded.toString();
+    instance.greekPanels = Array.isArray(panels) ? panels.map(normalizeGreekPanel).filter(Boolean) : [];
+    queueRender(instance);
+}
+
+function normalizeGreekPanel(panel) {
+    const key = panel?.key ?? panel?.Key;
+    const curves = panel?.curves ?? panel?.Curves;
+    if (!key || !Array.isArray(curves)) {
+        return null;
     }
 
-    const fixed = abs.toFixed(12).replace(/0+$/, '');
-    const parts = fixed.split('.');
-    const decimals = parts[1] ?? '';
-    const nonZeroPositions = [];
-    for (let i = 0; i < decimals.length; i++) {
-        if (decimals[i] !== '0') {
-            nonZeroPositions.push(i);
-            if (nonZeroPositions.length >= 3) {
-                break;
-            }
-        }
+    return {
+        key,
+        title: panel.title ?? panel.Title ?? key,
+        curves: curves.map((curve) => ({
+            strategyId: curve?.strategyId ?? curve?.StrategyId ?? '',
+            strategyName: curve?.strategyName ?? curve?.StrategyName ?? '',
+            color: curve?.color ?? curve?.Color ?? '#6b7280',
+            data: (curve?.points ?? curve?.Points ?? [])
+                .map((point) => [point?.price ?? point?.Price, point?.value ?? point?.Value])
+                .filter((point) => Number.isFinite(point[0]) && Number.isFinite(point[1]))
+        }))
+    };
+}
+
+export function setVolumeProfile(instanceId, enabled) {
+    const instance = instances.get(instanceId);
+    if (!instance) {
+        return;
     }
-    if (nonZeroPositions.length === 0) {
-        return '0';
+
+    const showVolumeProfile = enabled === true;
+    if (instance.showVolumeProfile === showVolumeProfile) {
+        return;
     }
 
-    const end = Math.min(decimals.length, nonZeroPositions[nonZeroPositions.length - 1] + 1);
-    const slice = decimals.slice(0, end);
-    return `${value < 0 ? '-' : ''}0.${slice}`;
+    instance.showVolumeProfile = showVolumeProfile;
+    queueRender(instance);
 }
 
-function applyMarkers(instance) {
-    const markLineData = [];
-    const selected = instance.selectedPrice;
-    const isDark = Boolean(instance.lastOption?.backgroundColor) && instance.lastOption.backgroundColor !== '#ffffff';
-    const selectedColor = isDark ? '#e2e8f0' : '#111827';
+export function setOverview(instanceId, enabled) {
+    const instance = instances.get(instanceId);
+    if (!instance) {
+        return;
+    }
 
-    if (selected != null) {
-        markLineData.push({
-            xAxis: selected,
-            lineStyle: { color: selectedColor, width: 1, type: 'solid' },
-            label: {
-                show: true,
-                formatter: `Futures ${formatOneDecimal(selected)}`,
-                rotate: 90,
-                position: 'insideEndTop',
-                color: selectedColor,
-                fontSize: 9,
-                distance: 0,
-                offset: [0, 0]
-            }
-        });
+    const showOverview = enabled === true;
+    if (instance.showOverview === showOverview) {
+        return;
     }
 
-    for (const marker of instance.markers) {
-        if (!marker) {
-            continue;
-        }
+    instance.showOverview = showOverview;
+    queueRender(instance);
+}
 
-        const price = Number.isFinite(marker.price) ? marker.price : marker.Price;
-        if (!Number.isFinite(price)) {
-            continue;
-        }
+export function setExtremaMarkers(instanceId, enabled) {
+    const instance = instances.get(instanceId);
+    if (!instance) {
+        return;
+    }
 
-        const text = marker.text ?? marker.Text ?? '';
-        const color = marker.color ?? marker.Color ?? '#111827';
-        markLineData.push({
-            xAxis: price,
-            lineStyle: { color, width: 1, type: 'dashed' },
-            label: {
-                show: Boolean(text),
-                formatter: text,
-                rotate: 90,
-                position: 'insideEndTop',
-                color,
-                fontSize: 9,
-                distance: 0,
-                offset: [0, 0]
-            }
-        });
+    instance.showExtrema = enabled !== false;
+    applyExtremaMarkers(instance);
+}
+
+export function setPlaybackFrames(instanceId, frames, frameMs) {
+    const instance = instances.get(instanceId);
+    if (!instance) {
+        return;
     }
 
-    instance.chart.setOption({
-        series: [{
-            id: '__selected__',
-            markLine: {
-                symbol: 'none',
-                data: markLineData
-            }
-        }]
-    });
+    stopPlaybackLoop(instance);
+    const normalized = Array.isArray(frames) ? frames.map(normalizePlaybackFrame).filter(Boolean) : [];
+    const wasActive = instance.playback?.active === true;
+    restoreLiveSeries(instance);
+    instance.playback = normalized.length > 1
+        ? {
+            frames: normalized,
+            position: 0,
+            playing: false,
+            active: false,
+            frameMs: Number.isFinite(frameMs) && frameMs > 0 ? frameMs : 400,
+            raf: 0,
+            lastTime: 0,
+            live: new Map(),
+            played: new WeakSet()
+        }
+        : null;
+    renderPlaybackControls(instance);
+    if (wasActive && instance.lastOption) {
+        // The frames are gone or replaced, so the live T+0 curves from .NET take over again.
+        renderOption(instance, instance.lastOption);
+    }
+}
 
-    if (selected != null) {
-        instance.chart.dispatchAction({
-            type: 'updateAxisPointer',
-            xAxisIndex: 0,
-            value: selected
-        });
+export function setPlaybackFrameMs(instanceId, frameMs) {
+    const instance = instances.get(instanceId);
+    if (instance?.playback && Number.isFinite(frameMs) && frameMs > 0) {
+        instance.playback.frameMs = frameMs;
     }
 }
 
+export function playPlayback(instanceId) {
+    const instance = instances.get(instanceId);
+    if (instance) {
+        startPlayback(instance);
+    }
+}
 
-export function dispose(instanceId) {
+export function pausePlayback(instanceId) {
     const instance = instances.get(instanceId);
-    if (!instance) {
+    if (!instance?.playback?.playing) {
         return;
     }
 
-    instance.resizeObserver.disconnect();
-    const element = instance.chart.getDom();
-    element.removeEventListener('touchstart', instance.touchHandler);
-    element.removeEventListener('touchmove', instance.touchHandler);
-    element.removeEventListener('pointerdown', instance.pointerDownHandler);
-    element.removeEventListener('pointermove', instance.pointerMoveHandler);
-    element.removeEventListener('pointerup', instance.pointerUpHandler);
-    element.removeEventListener('click', instance.domClickHandler);
-    const zr = instance.chart.getZr();
-    zr.off('click', instance.clickHandler);
-    instance.chart.off('click');
-    zr.off('mousedown');
-    zr.off('mousemove');
-    zr.off('mouseup');
-    zr.off('globalout');
-    zr.off('touchstart');
-    zr.off('touchmove');
-    zr.off('touchend');
-    instance.chart.dispose();
-    instances.delete(instanceId);
+    finishPlayback(instance);
 }
 
-function formatOneDecimal(value) {
-    if (!Number.isFinite(value)) {
-        return '0';
+export function seekPlayback(instanceId, index) {
+    const instance = instances.get(instanceId);
+    const playback = instance?.playback;
+    if (!playback || !Number.isFinite(index)) {
+        return;
     }
 
-    return Number(value).toFixed(1);
+    stopPlaybackLoop(instance);
+    playback.position = Math.min(Math.max(Math.round(index), 0), playback.frames.length - 1);
+    playback.active = true;
+    updatePlaybackSeries(instance);
+    renderPlaybackControls(instance);
+    notifyPlaybackStopped(instance);
 }
 
-export function resetAutoScale(instanceId, resetXy, resetTime) {
+export function setDisplayMode(instanceId, options) {
     const instance = instances.get(instanceId);
     if (!instance) {
         return;
     }
 
-    if (resetXy) {
-        instance.currentRangeX = null;
-        instance.currentRangeY = null;
-    }
-    if (resetTime) {
-        instance.currentRangeTime = null;
-    }
-    if (resetXy || resetTime) {
-        instance.preserveRange = false;
-        if (instance.lastOption) {
-            instance.chart.setOption(instance.lastOption, { notMerge: true, lazyUpdate: true });
-        }
+    const capital = options?.pnlCapital ?? options?.PnlCapital;
+    instance.pnlCapital = Number.isFinite(capital) && capital > 0 ? capital : null;
+    instance.priceDistance = (options?.priceDistance ?? options?.PriceDistance) === true;
+    if (instance.lastOption) {
+        refreshDisplayLabels(instance);
     }
 }
 
-function handleDomClick(instance, evt) {
-    if (instance.isDragging || performance.now() < instance.suppressClickUntil) {
+export function setPriceScale(instanceId, scale) {
+    const instance = instances.get(instanceId);
+    if (!instance) {
         return;
     }
-    const rect = instance.chart.getDom().getBoundingClientRect();
-    const point = [evt.clientX - rect.left, evt.clientY - rect.top];
-    selectPriceAtPoint(instance, point);
-}
 
-function emitRangeChanged(instance) {
-    const xRange = instance.currentRangeX ?? getVisibleRange(instance.chart, 'x', 0);
-    const yRange = instance.currentRangeY ?? getVisibleRange(instance.chart, 'y', 0);
-    const timeRange = instance.currentRangeTime ?? getVisibleRange(instance.chart, 'y', 1);
-    if (!xRange || !yRange) {
+    const logPrice = scale === 'log';
+    if (instance.logPrice === logPrice) {
         return;
     }
 
-    instance.dotNetRef.invokeMethodAsync('OnRangeChanged', xRange.min, xRange.max, yRange.min, yRange.max);
-    if (timeRange) {
-        instance.dotNetRef.invokeMethodAsync('OnTimeRangeChanged', timeRange.min, timeRange.max);
+    instance.logPrice = logPrice;
+    if (logPrice && instance.currentRangeX && instance.currentRangeX.min <= 0) {
+        // A log axis cannot show zero or below, so let it fit the data instead.
+        instance.currentRangeX = null;
+    }
+    queueRender(instance);
+}
+
+export function pinSnapshot(instanceId, label) {
+    const instance = instances.get(instanceId);
+    if (instance) {
+        flushPendingUpdate(instance);
+    }
+    if (!instance?.lastOption) {
+        return;
+    }
+
+    const snapshotLabel = typeof label === 'string' && label.length > 0 ? label : `Pinned ${instance.snapshots.length + 1}`;
+    const series = [];
+    for (const source of instance.lastOption.series ?? []) {
+        const entry = instance.seriesCache.get(source?.id);
+        if (!entry || !isPayoffCurve(source) || entry.data.length < 2) {
+            continue;
+        }
+
+        series.push({
+            sourceId: source.id,
+            strategyName: entry.strategyName,
+            color: source.lineStyle?.color ?? source.itemStyle?.color,
+            data: entry.data.map((point) => point.slice())
+        });
+    }
+
+    if (series.length === 0) {
+        return;
+    }
+
+    // Pinning again under the same label moves that snapshot instead of stacking another.
+    instance.snapshots = instance.snapshots.filter((snapshot) => snapshot.label !== snapshotLabel);
+    instance.snapshots.push({ label: snapshotLabel, series });
+    queueRender(instance);
+}
+
+export function clearSnapshots(instanceId, label) {
+    const instance = instances.get(instanceId);
+    if (!instance || instance.snapshots.length === 0) {
+        return;
+    }
+
+    instance.snapshots = typeof label === 'string'
+        ? instance.snapshots.filter((snapshot) => snapshot.label !== label)
+        : [];
+    queueRender(instance);
+}
+
+export function setLinkGroup(instanceId, group) {
+    const instance = instances.get(instanceId);
+    if (!instance) {
+        return;
+    }
+
+    leaveLinkGroup(instance);
+    if (typeof group !== 'string' || group.length === 0) {
+        return;
+    }
+
+    if (!linkGroups.has(group)) {
+        linkGroups.set(group, new Set());
+    }
+    linkGroups.get(group).add(instance);
+    instance.linkGroup = group;
+}
+
+function leaveLinkGroup(instance) {
+    const members = instance.linkGroup ? linkGroups.get(instance.linkGroup) : null;
+    if (members) {
+        members.delete(instance);
+        if (members.size === 0) {
+            linkGroups.delete(instance.linkGroup);
+        }
+    }
+    instance.linkGroup = null;
+}
+
+function getLinkedPeers(instance) {
+    const members = instance.linkGroup ? linkGroups.get(instance.linkGroup) : null;
+    return members ? Array.from(members).filter((peer) => peer !== instance) : [];
+}
+
+function handleLinkedHover(instance, evt) {
+    const peers = getLinkedPeers(instance);
+    if (peers.length === 0 || instance.axisDrag) {
+        return;
+    }
+
+    const point = getPoint(evt);
+    const rect = getGridRect(instance.chart);
+    if (!rect || getAxisDragMode(instance.chart, point) !== 'plot') {
+        handleLinkedHoverOut(instance);
+        return;
+    }
+
+    const axisValue = instance.chart.convertFromPixel({ xAxisIndex: 0 }, point[0]);
+    const price = Array.isArray(axisValue) ? axisValue[0] : axisValue;
+    if (!Number.isFinite(price)) {
+        return;
+    }
+
+    const verticalFraction = (point[1] - rect.y) / rect.height;
+    for (const peer of peers) {
+        const peerRect = getGridRect(peer.chart);
+        const x = peer.chart.convertToPixel({ xAxisIndex: 0 }, price);
+        if (!peerRect || !Number.isFinite(x) || x < peerRect.x || x > peerRect.x + peerRect.width) {
+            peer.chart.dispatchAction({ type: 'hideTip' });
+            continue;
+        }
+
+        peer.chart.dispatchAction({ type: 'showTip', x, y: peerRect.y + peerRect.height * verticalFraction });
+    }
+}
+
+function handleLinkedHoverOut(instance) {
+    for (const peer of getLinkedPeers(instance)) {
+        peer.chart.dispatchAction({ type: 'hideTip' });
+    }
+}
+
+function broadcastRangeX(instance, range) {
+    if (!range) {
+        return;
+    }
+
+    for (const peer of getLinkedPeers(instance)) {
+        applyRanges(peer, { x: range }, true);
+    }
+}
+
+export function setMarkers(instanceId, markers) {
+    const instance = instances.get(instanceId);
+    if (!instance) {
+        return;
+    }
+
+    queueUpdate(instance, { markers: Array.isArray(markers) ? markers.map(normalizeMarker).filter(Boolean) : [] });
+}
+
+function normalizeMarker(marker) {
+    const price = Number.isFinite(marker?.price) ? marker.price : marker?.Price;
+    if (!Number.isFinite(price)) {
+        return null;
+    }
+
+    const id = marker.id ?? marker.Id;
+    return {
+        id: id === undefined || id === null ? null : String(id),
+        price,
+        text: marker.text ?? marker.Text ?? '',
+        color: marker.color ?? marker.Color ?? '#111827',
+        // Only markers .NET can identify may be dragged; the move is reported back by id.
+        draggable: (marker.draggable ?? marker.Draggable) === true && id !== undefined && id !== null,
+        payload: marker.payload ?? marker.Payload ?? null
+    };
+}
+
+function findMarkerAtPoint(instance, point) {
+    if (!instance.lastOption || instance.markers.length === 0) {
+        return null;
+    }
+
+    const rect = getGridRect(instance.chart);
+    if (!rect || point[0] < rect.x || point[0] > rect.x + rect.width || point[1] < rect.y || point[1] > rect.y + rect.height) {
+        return null;
+    }
+
+    let best = null;
+    let bestDistance = 5;
+    for (const marker of instance.markers) {
+        const x = instance.chart.convertToPixel({ xAxisIndex: 0 }, marker.price);
+        const distance = Math.abs(x - point[0]);
+        if (Number.isFinite(x) && distance <= bestDistance) {
+            best = marker;
+            bestDistance = distance;
+        }
+    }
+
+    return best;
+}
+
+function handleMarkerClick(instance, point) {
+    const hit = findMarkerAtPoint(instance, point);
+    if (!hit?.id) {
+        return false;
+    }
+
+    instance.suppressClickUntil = performance.now() + 250;
+    instance.dotNetRef.invokeMethodAsync('OnMarkerClick', hit.id);
+    return true;
+}
+
+function startMarkerDrag(instance, point) {
+    const hit = findMarkerAtPoint(instance, point);
+    if (!hit?.draggable) {
+        return false;
+    }
+
+    instance.markerDrag = { id: hit.id, start: point, moved: false, originalPrice: hit.price };
+    return true;
+}
+
+function updateMarkerDrag(instance, point) {
+    const drag = instance.markerDrag;
+    if (!drag.moved && Math.abs(point[0] - drag.start[0]) <= 4) {
+        return;
+    }
+
+    const value = instance.chart.convertFromPixel({ xAxisIndex: 0 }, point);
+    const price = Array.isArray(value) ? value[0] : value;
+    if (!Number.isFinite(price)) {
+        return;
+    }
+
+    drag.moved = true;
+    instance.isDragging = true;
+    instance.markers = instance.markers.map((marker) => marker.id === drag.id ? { ...marker, price } : marker);
+    applyMarkers(instance);
+    showMarkerCard(instance, instance.markers.find((marker) => marker.id === drag.id), point);
+}
+
+function endMarkerDrag(instance) {
+    const drag = instance.markerDrag;
+    instance.markerDrag = null;
+    instance.isDragging = false;
+    const marker = instance.markers.find((item) => item.id === drag.id);
+    // The marker goes back to its original price; the parent confirms a move by sending markers with the new one.
+    const deferred = instance.deferredMarkers;
+    instance.deferredMarkers = null;
+    instance.markers = deferred
+        ?? instance.markers.map((item) => item.id === drag.id ? { ...item, price: drag.originalPrice } : item);
+    if (drag.moved || deferred) {
+        applyMarkers(instance);
+        hideMarkerCard(instance);
+    }
+    if (drag.moved && marker) {
+        instance.suppressClickUntil = performance.now() + 250;
+        instance.dotNetRef.invokeMethodAsync('OnMarkerMoved', marker.id, marker.price);
+    }
+}
+
+function showMarkerCard(instance, marker, point) {
+    if (!marker) {
+        hideMarkerCard(instance);
+        return;
+    }
+
+    if (!instance.markerCard) {
+        instance.markerCard = document.createElement('div');
+        instance.markerCard.className = 'payoff-chart-marker-card';
+        instance.overlayHost.appendChild(instance.markerCard);
+    }
+
+    const card = instance.markerCard;
+    const rows = [marker.text || 'Marker', `Price: ${formatPrice(marker.price)}`];
+    if (marker.payload && typeof marker.payload === 'object') {
+        for (const [key, value] of Object.entries(marker.payload)) {
+            if (value !== null && value !== undefined && value !== '') {
+                rows.push(`${key}: ${value}`);
+            }
+        }
+    }
+    if (marker.draggable) {
+        rows.push('Drag to move');
+    }
+
+    // Payload text comes from order data, so build the card from text nodes rather than HTML.
+    card.replaceChildren(...rows.map((row, index) => {
+        const line = document.createElement('div');
+        if (index === 0) {
+            line.className = 'payoff-chart-marker-card-title';
+        }
+        line.textContent = row;
+        return line;
+    }));
+    card.style.borderColor = marker.color;
+    card.style.display = '';
+    const width = instance.chart.getWidth();
+    const left = point[0] + 12 + card.offsetWidth > width ? point[0] - 12 - card.offsetWidth : point[0] + 12;
+    card.style.left = `${Math.max(0, left)}px`;
+    card.style.top = `${point[1] + 12}px`;
+}
+
+function hideMarkerCard(instance) {
+    if (instance.markerCard) {
+        instance.markerCard.style.display = 'none';
+    }
+}
+
+export function updateCandles(instanceId, candles) {
+    const instance = instances.get(instanceId);
+    if (!instance || !Array.isArray(candles)) {
+        return;
+    }
+
+    queueUpdate(instance, { candleData: candles.map(toCandleItem), candleTicks: undefined });
+}
+
+export function appendCandle(instanceId, candle) {
+    const instance = instances.get(instanceId);
+    const item = candle ? toCandleItem(candle) : null;
+    if (!instance || !item || !Number.isFinite(item[0])) {
+        return;
+    }
+
+    queueCandleTick(instance, item);
+}
+
+export function updateLastCandle(instanceId, candle) {
+    const instance = instances.get(instanceId);
+    const item = candle ? toCandleItem(candle) : null;
+    if (!instance || !item || !Number.isFinite(item[0])) {
+        return;
+    }
+
+    queueCandleTick(instance, item);
+}
+
+function queueCandleTick(instance, item) {
+    const pending = instance.pendingUpdate;
+    if (pending?.candleData || pending?.option) {
+        // A full candle set is already waiting for this frame, so the tick goes straight into it.
+        const source = getPendingCandleData(instance);
+        appendCandleItem(source, item);
+        queueUpdate(instance, { candleData: source });
+        return;
+    }
+
+    queueUpdate(instance, { candleTicks: [...(pending?.candleTicks ?? []), item] });
+}
+
+// Candle patches build on whatever the next flush would draw, so several ticks in one frame collapse into one array.
+function getPendingCandleData(instance) {
+    const pending = instance.pendingUpdate;
+    if (pending?.candleData) {
+        return pending.candleData;
+    }
+
+    const candleSeries = pending?.option?.series?.find((s) => s && s.id === '__ticker_candles__');
+    const optionData = candleSeries?.baseData ?? candleSeries?.data;
+    return Array.isArray(optionData) ? optionData : instance.candleData;
+}
+
+function appendCandleItem(candleData, item) {
+    const last = candleData[candleData.length - 1];
+    if (!last || last[0] < item[0]) {
+        candleData.push(item);
+    } else {
+        // Late or repeated bars replace the bucket with the same time so the series stays sorted.
+        const index = candleData.findIndex((c) => c[0] >= item[0]);
+        if (candleData[index][0] === item[0]) {
+            candleData[index] = item;
+        } else {
+            candleData.splice(index, 0, item);
+        }
+    }
+}
+
+// Ticks for the newest bar patch the drawn arrays in place: only the last candle, its aggregated bucket and its line
+// point change. ECharts has no per-item update, so the same arrays are handed back without copying or re-aggregating.
+function applyCandleTicks(instance, ticks) {
+    const base = instance.candleData;
+    const candleSeries = instance.lastOption?.series?.find((s) => s && s.id === '__ticker_candles__');
+    const lineSeries = instance.lastOption?.series?.find((s) => s && s.id === '__ticker_line__');
+    const display = candleSeries?.data;
+    const last = base[base.length - 1];
+    if (!Array.isArray(display) || ticks.some((item) => last && item[0] < last[0])) {
+        // Late bars can land in any bucket, so they take the full path.
+        for (const item of ticks) {
+            appendCandleItem(base, item);
+        }
+        applyCandleData(instance, base);
+        watchCandleAlerts(instance, ticks);
+        return;
+    }
+
+    for (const item of ticks) {
+        const previous = base[base.length - 1];
+        if (previous && previous[0] === item[0]) {
+            base[base.length - 1] = item;
+        } else {
+            base.push(item);
+        }
+    }
+
+    // The first bars can reveal the candle spacing, which decides whether the interval can be built at all.
+    if (getAggregationInterval(instance.candleIntervalMs, base) !== instance.aggregationIntervalMs) {
+        applyCandleData(instance, base);
+        watchCandleAlerts(instance, ticks);
+        return;
+    }
+
+    const displayLength = display.length;
+    for (const item of ticks) {
+        const index = updateDisplayCandle(display, base, item, instance.aggregationIntervalMs);
+        if (Array.isArray(lineSeries?.data)) {
+            lineSeries.data[index] = [display[index][2], display[index][0]];
+        }
+    }
+
+    const option = { series: [{ id: '__ticker_candles__', data: display }] };
+    if (lineSeries) {
+        option.series.push({ id: '__ticker_line__', data: lineSeries.data });
+    }
+    if (display.length > displayLength && optionHasTimeAxis(instance.lastOption) && !instance.preserveRange) {
+        instance.currentRangeTime = { min: display[0][0], max: display[display.length - 1][0] };
+        option.yAxis = [{}, { min: instance.currentRangeTime.min, max: instance.currentRangeTime.max }];
+    }
+
+    instance.chart.setOption(option, { notMerge: false, lazyUpdate: true });
+    refreshCandleMeta(instance, display);
+    watchCandleAlerts(instance, ticks);
+}
+
+// Returns the index of the display bar that holds the tick.
+function updateDisplayCandle(display, base, item, intervalMs) {
+    if (!Number.isFinite(intervalMs) || intervalMs <= 0) {
+        if (display === base) {
+            // Unaggregated candles are drawn from the base array itself, which already holds the tick.
+            return base.findLastIndex((candle) => candle[0] === item[0]);
+        }
+
+        if (display[display.length - 1]?.[0] === item[0]) {
+            display[display.length - 1] = item;
+        } else {
+            display.push(item);
+        }
+        return display.length - 1;
+    }
+
+    const start = Math.floor(item[0] / intervalMs) * intervalMs;
+    let first = base.length - 1;
+    while (first > 0 && base[first - 1][0] >= start) {
+        first--;
+    }
+
+    const bucket = aggregateCandles(base.slice(first), intervalMs)[0];
+    if (display[display.length - 1]?.[0] === start) {
+        display[display.length - 1] = bucket;
+    } else {
+        display.push(bucket);
+    }
+    return display.length - 1;
+}
+
+function toCandleItem(c) {
+    const time = Number.isFinite(c.time) ? c.time : c.Time;
+    const open = Number.isFinite(c.open) ? c.open : c.Open;
+    const high = Number.isFinite(c.high) ? c.high : c.High;
+    const low = Number.isFinite(c.low) ? c.low : c.Low;
+    const close = Number.isFinite(c.close) ? c.close : c.Close;
+    const volume = Number.isFinite(c.volume) ? c.volume : c.Volume;
+    return [time, open, close, low, high, Number.isFinite(volume) ? volume : 0];
+}
+
+function applyCandleData(instance, candleData) {
+    instance.candleData = candleData;
+    instance.aggregationIntervalMs = getAggregationInterval(instance.candleIntervalMs, candleData);
+    const displayData = aggregateCandles(candleData, instance.aggregationIntervalMs);
+    let minTime = Number.POSITIVE_INFINITY;
+    let maxTime = Number.NEGATIVE_INFINITY;
+    for (const c of displayData) {
+        if (Number.isFinite(c[0])) {
+            minTime = Math.min(minTime, c[0]);
+            maxTime = Math.max(maxTime, c[0]);
+        }
+    }
+
+    const lineData = displayData.map((c) => [c[2], c[0]]);
+
+    const option = {
+        series: [
+            { id: '__ticker_candles__', data: displayData },
+            { id: '__ticker_line__', data: lineData }
+        ]
+    };
+
+    const hasTimeAxis = optionHasTimeAxis(instance.lastOption);
+    if (hasTimeAxis && !instance.preserveRange && Number.isFinite(minTime) && Number.isFinite(maxTime)) {
+        instance.currentRangeTime = { min: minTime, max: maxTime };
+        option.yAxis = [{}, { min: minTime, max: maxTime }];
+    }
+
+    // Keep the cached option current so local re-renders (zones, overlays, legend, reset) don't revert to stale candles.
+    const latest = { __ticker_candles__: displayData, __ticker_line__: lineData };
+    for (const series of instance.lastOption?.series ?? []) {
+        if (series && latest[series.id]) {
+            series.data = latest[series.id];
+        }
+        if (series?.id === '__ticker_candles__') {
+            series.baseData = candleData;
+        }
+    }
+    for (const [id, entry] of instance.seriesCache ?? []) {
+        if (latest[id]) {
+            entry.data = latest[id];
+        }
+    }
+
+    instance.chart.setOption(option, { notMerge: false, lazyUpdate: true });
+    refreshCandleMeta(instance, displayData);
+    reportCandleInterval(instance);
+}
+
+export function setCandleInterval(instanceId, intervalMs) {
+    const instance = instances.get(instanceId);
+    if (!instance) {
+        return;
+    }
+
+    const next = Number.isFinite(intervalMs) && intervalMs > 0 ? intervalMs : 0;
+    if (instance.candleIntervalMs === next) {
+        return;
+    }
+
+    instance.candleIntervalMs = next;
+    instance.reportedIntervalMs = 0;
+    if (instance.lastOption?.series?.some((s) => s && s.id === '__ticker_candles__')) {
+        applyCandleData(instance, instance.candleData);
+    }
+}
+
+// Tells .NET which interval is drawn, so the page can say when the one it asked for can't be built from the loaded candles.
+function reportCandleInterval(instance) {
+    const drawnMs = instance.aggregationIntervalMs || getCandleSpacing(instance.candleData);
+    if (!Number.isFinite(drawnMs) || drawnMs === instance.reportedIntervalMs) {
+        return;
+    }
+
+    instance.reportedIntervalMs = drawnMs;
+    instance.dotNetRef?.invokeMethodAsync('OnCandleIntervalApplied', drawnMs);
+}
+
+function applyCandleInterval(option, instance) {
+    const candleSeries = option.series.find((s) => s && s.id === '__ticker_candles__');
+    if (!candleSeries || !Array.isArray(candleSeries.baseData ?? candleSeries.data)) {
+        return;
+    }
+
+    // Keep the fetched candles beside the aggregated ones so interval switches never re-aggregate coarse bars.
+    candleSeries.baseData = candleSeries.baseData ?? candleSeries.data;
+    const intervalMs = getAggregationInterval(instance?.candleIntervalMs, candleSeries.baseData);
+    candleSeries.data = aggregateCandles(candleSeries.baseData, intervalMs);
+    if (instance) {
+        instance.aggregationIntervalMs = intervalMs;
+        instance.candleData = candleSeries.baseData;
+        reportCandleInterval(instance);
+    }
+    const lineSeries = option.series.find((s) => s && s.id === '__ticker_line__');
+    if (lineSeries) {
+        lineSeries.data = candleSeries.data.map((c) => [c[2], c[0]]);
+    }
+}
+
+function buildExpectedMoveAreas(instance, isDark) {
+    const selected = instance.selectedPrice;
+    const move = instance.expectedMove;
+    if (!move || !Number.isFinite(selected) || selected <= 0) {
+        return [];
+    }
+
+    // Lognormal bounds with the BlackScholes conventions: IV in percent, 365-day year.
+    const sigma = (move.ivPercent / 100) * Math.sqrt(move.daysToExpiry / 365);
+    const labelColor = isDark ? '#c7d0e0' : '#4b5563';
+    const areas = [];
+    for (const deviations of [2, 1]) {
+        const lower = selected * Math.exp(-deviations * sigma);
+        const upper = selected * Math.exp(deviations * sigma);
+        const lines = [`±${deviations}σ ${formatPrice(lower)} – ${formatPrice(upper)}`];
+        for (const entry of getVisibleExpirySeries(instance)) {
+            const pnlLower = interpolatePnl(entry.data, lower);
+            const pnlUpper = interpolatePnl(entry.data, upper);
+            if (Number.isFinite(pnlLower) && Number.isFinite(pnlUpper)) {
+                lines.push(`${entry.strategyName}: ${formatPnl(instance, pnlLower)} / ${formatPnl(instance, pnlUpper)}`);
+            }
+        }
+
+        areas.push([
+            {
+                xAxis: lower,
+                itemStyle: { color: deviations === 1 ? 'rgba(59,130,246,0.10)' : 'rgba(59,130,246,0.05)' },
+                label: {
+                    show: true,
+                    formatter: lines.join('\n'),
+                    position: deviations === 1 ? 'insideTop' : 'insideBottom',
+                    color: labelColor,
+                    fontSize: 9
+                }
+            },
+            { xAxis: upper }
+        ]);
+    }
+
+    return areas;
+}
+
+function getVisibleExpirySeries(instance) {
+    const result = [];
+    for (const [id, entry] of instance.seriesCache.entries()) {
+        if (!id.endsWith('-expired') || instance.legendSelected?.[entry.strategyName] === false) {
+            continue;
+        }
+
+        result.push({ id, strategyName: entry.strategyName, data: entry.data });
+    }
+
+    return result;
+}
+
+function formatPrice(value) {
+    if (!Number.isFinite(value)) {
+        return '';
+    }
+
+    const abs = Math.abs(value);
+    if (abs === 0) {
+        return '0';
+    }
+
+    if (abs >= 100) {
+        return Math.round(value).toString();
+    }
+
+    if (abs >= 1) {
+        const rounded = Math.round(value);
+        const hasFraction = Math.abs(value - rounded) > 1e-9;
+        if (hasFraction) {
+            const oneDecimal = value.toFixed(1);
+            return oneDecimal;
+        }
+        return rounded.toString();
+    }
+
+    const fixed = abs.toFixed(12).replace(/0+$/, '');
+    const parts = fixed.split('.');
+    const decimals = parts[1] ?? '';
+    const nonZeroPositions = [];
+    for (let i = 0; i < decimals.length; i++) {
+        if (decimals[i] !== '0') {
+            nonZeroPositions.push(i);
+            if (nonZeroPositions.length >= 3) {
+                break;
+            }
+        }
+    }
+    if (nonZeroPositions.length === 0) {
+        return '0';
+    }
+
+    const end = Math.min(decimals.length, nonZeroPositions[nonZeroPositions.length - 1] + 1);
+    const slice = decimals.slice(0, end);
+    return `${value < 0 ? '-' : ''}0.${slice}`;
+}
+
+function applyMarkers(instance) {
+    const markLineData = [];
+    const selected = instance.selectedPrice;
+    const isDark = Boolean(instance.lastOption?.backgroundColor) && instance.lastOption.backgroundColor !== '#ffffff';
+    const selectedColor = isDark ? '#e2e8f0' : '#111827';
+
+    if (selected != null) {
+        markLineData.push({
+            xAxis: selected,
+            lineStyle: { color: selectedColor, width: 1, type: 'solid' },
+            label: {
+                show: true,
+                formatter: `Futures ${formatOneDecimal(selected)}`,
+                rotate: 90,
+                position: 'insideEndTop',
+                color: selectedColor,
+                fontSize: 9,
+                distance: 0,
+                offset: [0, 0]
+            }
+        });
+    }
+
+    for (const marker of instance.markers) {
+        if (!marker) {
+            continue;
+        }
+
+        const price = Number.isFinite(marker.price) ? marker.price : marker.Price;
+        if (!Number.isFinite(price)) {
+            continue;
+        }
+
+        const text = marker.text ?? marker.Text ?? '';
+        const color = marker.color ?? marker.Color ?? '#111827';
+        const isDragged = Boolean(marker.id) && instance.markerDrag?.id === marker.id;
+        markLineData.push({
+            xAxis: price,
+            lineStyle: { color, width: isDragged ? 2 : marker.draggable ? 1.5 : 1, type: 'dashed' },
+            label: {
+                show: Boolean(text),
+                formatter: text,
+                rotate: 90,
+                position: 'insideEndTop',
+                color,
+                fontSize: 9,
+                distance: 0,
+                offset: [0, 0]
+            }
+        });
+    }
+
+    instance.chart.setOption({
+        series: [{
+            id: '__selected__',
+            markLine: {
+                symbol: 'none',
+                data: markLineData
+            },
+            markArea: {
+                silent: true,
+                data: buildExpectedMoveAreas(instance, isDark)
+            }
+        }]
+    });
+
+    if (selected != null) {
+        instance.chart.dispatchAction({
+            type: 'updateAxisPointer',
+            xAxisIndex: 0,
+            value: selected
+        });
+    }
+}
+
+export function setAnnotations(instanceId, annotations) {
+    const instance = instances.get(instanceId);
+    if (!instance) {
+        return;
+    }
+
+    instance.annotations = Array.isArray(annotations)
+        ? annotations.map(normalizeAnnotation).filter(Boolean)
+        : [];
+    if (!instance.annotations.some((annotation) => annotation.id === instance.activeAnnotationId)) {
+        instance.activeAnnotationId = null;
+    }
+    applyAnnotations(instance);
+}
+
+export function setAnnotationMode(instanceId, mode) {
+    const instance = instances.get(instanceId);
+    if (!instance) {
+        return;
+    }
+
+    instance.annotationMode = mode === 'pnl' || mode === 'price' || mode === 'note' ? mode : null;
+}
+
+function createAnnotationId() {
+    return `${Date.now().toString(36)}-${nextAnnotationId++}`;
+}
+
+function buildAnnotationSeries() {
+    return {
+        id: '__annotations__',
+        type: 'line',
+        data: [],
+        xAxisIndex: 0,
+        yAxisIndex: 0,
+        silent: true,
+        animation: false,
+        skipTooltip: true,
+        tooltip: { show: false },
+        z: 6
+    };
+}
+
+function applyAnnotations(instance) {
+    if (!instance.lastOption) {
+        return;
+    }
+
+    const isDark = Boolean(instance.lastOption.backgroundColor) && instance.lastOption.backgroundColor !== '#ffffff';
+    const lines = [];
+    const notes = [];
+    for (const annotation of instance.annotations) {
+        const isActive = annotation.id === instance.activeAnnotationId;
+        const width = isActive ? 2 : 1;
+        if (annotation.kind === 'pnl') {
+            const color = annotation.color ?? '#f59e0b';
+            lines.push({
+                yAxis: annotation.pnl,
+                lineStyle: { color, width, type: 'dashed' },
+                label: {
+                    show: true,
+                    formatter: annotation.text ? `${annotation.text} ${formatPnl(instance, annotation.pnl)}` : formatPnl(instance, annotation.pnl),
+                    position: 'insideStartTop',
+                    color,
+                    fontSize: 9
+                }
+            });
+        } else if (annotation.kind === 'price') {
+            const color = annotation.color ?? '#8b5cf6';
+            lines.push({
+                xAxis: annotation.price,
+                lineStyle: { color, width, type: 'dashed' },
+                label: {
+                    show: true,
+                    formatter: annotation.text ? `${annotation.text} ${formatPrice(annotation.price)}` : formatPrice(annotation.price),
+                    rotate: 90,
+                    position: 'insideEndBottom',
+                    color,
+                    fontSize: 9,
+                    distance: 0
+                }
+            });
+        } else {
+            const color = annotation.color ?? (isDark ? '#e2e8f0' : '#111827');
+            notes.push({
+                coord: [annotation.price, annotation.pnl],
+                symbol: 'circle',
+                symbolSize: isActive ? 8 : 6,
+                itemStyle: { color },
+                label: {
+                    show: true,
+                    formatter: annotation.text,
+                    position: 'right',
+                    color,
+                    fontSize: 10,
+                    backgroundColor: isDark ? 'rgba(15,23,42,0.75)' : 'rgba(255,255,255,0.75)',
+                    padding: [1, 3]
+                }
+            });
+        }
+    }
+
+    instance.chart.setOption({
+        series: [{
+            id: '__annotations__',
+            markLine: { symbol: 'none', silent: true, animation: false, data: lines },
+            markPoint: { silent: true, animation: false, data: notes }
+        }]
+    }, { notMerge: false, lazyUpdate: true });
+}
+
+export function setAlerts(instanceId, alerts) {
+    const instance = instances.get(instanceId);
+    if (!instance) {
+        return;
+    }
+
+    instance.alerts = Array.isArray(alerts)
+        ? alerts.map(normalizeAlert).filter(Boolean)
+        : [];
+    // An alert keeps its triggered highlight while the parent still sends it; removing it re-arms the id.
+    const ids = new Set(instance.alerts.map((alert) => alert.id));
+    for (const id of instance.triggeredAlerts) {
+        if (!ids.has(id)) {
+            instance.triggeredAlerts.delete(id);
+        }
+    }
+    applyAlerts(instance);
+}
+
+function normalizeAlert(alert) {
+    const id = alert?.id ?? alert?.Id;
+    const value = alert?.value ?? alert?.Value;
+    if (id === null || id === undefined || !Number.isFinite(value)) {
+        return null;
+    }
+
+    return {
+        id: String(id),
+        value,
+        strategyId: alert.strategyId ?? alert.StrategyId ?? null,
+        label: alert.label ?? alert.Label ?? null
+    };
+}
+
+function buildAlertSeries() {
+    return {
+        id: '__alerts__',
+        type: 'line',
+        data: [],
+        xAxisIndex: 0,
+        yAxisIndex: 0,
+        silent: true,
+        animation: false,
+        skipTooltip: true,
+        tooltip: { show: false },
+        z: 7
+    };
+}
+
+function getAlertCurve(instance, alert) {
+    return instance.lastOption?.series?.find((series) => series?.id === `${alert.strategyId}-temp`) ?? null;
+}
+
+function applyAlerts(instance) {
+    if (!instance.lastOption) {
+        return;
+    }
+
+    const lines = [];
+    for (const alert of instance.alerts) {
+        const triggered = instance.triggeredAlerts.has(alert.id);
+        const color = triggered ? '#ef4444' : '#f97316';
+        const lineStyle = { color, width: triggered ? 2 : 1, type: triggered ? 'solid' : 'dotted' };
+        if (!alert.strategyId) {
+            const text = formatPriceLabel(instance, alert.value);
+            lines.push({
+                xAxis: alert.value,
+                lineStyle,
+                label: {
+                    show: true,
+                    formatter: `${alert.label ?? 'Alert'} ${text}`,
+                    rotate: 90,
+                    position: 'insideEndTop',
+                    color,
+                    fontSize: 9,
+                    distance: 0
+                }
+            });
+            continue;
+        }
+
+        const curve = getAlertCurve(instance, alert);
+        if (!curve || instance.legendSelected?.[curve.name] === false) {
+            continue;
+        }
+
+        lines.push({
+            yAxis: alert.value,
+            lineStyle,
+            label: {
+                show: true,
+                formatter: `${alert.label ?? `${curve.name} alert`} ${formatPnl(instance, alert.value)}`,
+                position: 'insideEndTop',
+                color,
+                fontSize: 9
+            }
+        });
+    }
+
+    instance.chart.setOption({
+        series: [{
+            id: '__alerts__',
+            markLine: { symbol: 'none', silent: true, animation: false, data: lines }
+        }]
+    }, { notMerge: false, lazyUpdate: true });
+}
+
+// The selected price and the live candle close are tracked separately so a click far from the market can't fire a live alert.
+// A replaced candle set is a new baseline, not a price move, so it only resets the live price without firing.
+function seedLiveAlertPrice(instance) {
+    const last = instance.candleData?.[instance.candleData.length - 1];
+    instance.alertPrices.live = Number.isFinite(last?.[2]) ? last[2] : null;
+    instance.alertPrices.liveBar = last ?? null;
+}
+
+function watchCandleAlerts(instance, candles) {
+    for (const item of candles) {
+        const bar = instance.alertPrices.liveBar;
+        if (bar && item[0] < bar[0]) {
+            continue;
+        }
+
+        const [low, high] = getCandleMoveExtremes(bar, item);
+        instance.alertPrices.liveBar = item;
+        watchAlerts(instance, 'live', item[2], low, high);
+    }
+}
+
+function watchAlerts(instance, source, price, low = price, high = price) {
+    const previous = instance.alertPrices[source];
+    instance.alertPrices[source] = Number.isFinite(price) ? price : null;
+    const armed = instance.alerts.filter((alert) => !instance.triggeredAlerts.has(alert.id));
+    const triggered = findTriggeredAlerts(armed, (alert) => getAlertCurve(instance, alert)?.data, previous, price, low, high);
+    for (const { id, value } of triggered) {
+        instance.triggeredAlerts.add(id);
+        instance.dotNetRef.invokeMethodAsync('OnAlertTriggered', id, value);
+    }
+
+    if (triggered.length > 0) {
+        applyAlerts(instance);
+    }
+}
+
+function notifyAnnotationsChanged(instance) {
+    instance.dotNetRef.invokeMethodAsync('OnAnnotationsChanged', instance.annotations.map((annotation) => ({ ...annotation })));
+}
+
+function findAnnotationAtPoint(instance, point) {
+    if (!instance.lastOption || instance.annotations.length === 0) {
+        return null;
+    }
+
+    const rect = getGridRect(instance.chart);
+    if (!rect || point[0] < rect.x || point[0] > rect.x + rect.width || point[1] < rect.y || point[1] > rect.y + rect.height) {
+        return null;
+    }
+
+    // Notes sit above lines, so test them first; the last drawn annotation wins ties.
+    const ordered = [...instance.annotations].reverse().sort((a, b) => (a.kind === 'note' ? 0 : 1) - (b.kind === 'note' ? 0 : 1));
+    for (const annotation of ordered) {
+        if (annotation.kind === 'pnl') {
+            const y = instance.chart.convertToPixel({ yAxisIndex: 0 }, annotation.pnl);
+            if (Number.isFinite(y) && Math.abs(y - point[1]) <= 5) {
+                return annotation;
+            }
+        } else if (annotation.kind === 'price') {
+            const x = instance.chart.convertToPixel({ xAxisIndex: 0 }, annotation.price);
+            if (Number.isFinite(x) && Math.abs(x - point[0]) <= 5) {
+                return annotation;
+            }
+        } else {
+            const pixel = instance.chart.convertToPixel({ xAxisIndex: 0, yAxisIndex: 0 }, [annotation.price, annotation.pnl]);
+            const width = 10 + String(annotation.text).length * 6;
+            if (Array.isArray(pixel) && point[0] >= pixel[0] - 6 && point[0] <= pixel[0] + width && Math.abs(point[1] - pixel[1]) <= 8) {
+                return annotation;
+            }
+        }
+    }
+
+    return null;
+}
+
+function getAnnotationCursor(annotation) {
+    return annotation.kind === 'pnl' ? 'ns-resize' : annotation.kind === 'price' ? 'ew-resize' : 'move';
+}
+
+function getPlotValueAtPoint(instance, point) {
+    const value = instance.chart.convertFromPixel({ xAxisIndex: 0, yAxisIndex: 0 }, point);
+    return Array.isArray(value) && Number.isFinite(value[0]) && Number.isFinite(value[1]) ? value : null;
+}
+
+function handleAnnotationClick(instance, point) {
+    const hit = findAnnotationAtPoint(instance, point);
+    if (hit) {
+        instance.activeAnnotationId = instance.activeAnnotationId === hit.id ? null : hit.id;
+        instance.suppressClickUntil = performance.now() + 250;
+        applyAnnotations(instance);
+        return true;
+    }
+
+    if (!instance.annotationMode) {
+        if (instance.activeAnnotationId) {
+            instance.activeAnnotationId = null;
+            applyAnnotations(instance);
+        }
+        return false;
+    }
+
+    const value = getPlotValueAtPoint(instance, point);
+    if (!value) {
+        return true;
+    }
+
+    // Every click path (zrender, series, DOM) lands here for one gesture; only the first one places.
+    instance.suppressClickUntil = performance.now() + 250;
+    const [price, pnl] = value;
+    let annotation = null;
+    if (instance.annotationMode === 'pnl') {
+        annotation = { id: createAnnotationId(), kind: 'pnl', price: null, pnl, text: null, color: null };
+    } else if (instance.annotationMode === 'price') {
+        annotation = { id: createAnnotationId(), kind: 'price', price, pnl: null, text: null, color: null };
+    } else {
+        // Notes need text, which the page collects; it adds the note through Annotations.
+        instance.dotNetRef.invokeMethodAsync('OnNoteRequested', createAnnotationId(), price, pnl);
+    }
+
+    if (annotation) {
+        addAnnotation(instance, annotation);
+    }
+    return true;
+}
+
+function addAnnotation(instance, annotation) {
+    instance.annotations = [...instance.annotations, annotation];
+    instance.activeAnnotationId = annotation.id;
+    applyAnnotations(instance);
+    notifyAnnotationsChanged(instance);
+}
+
+function startAnnotationDrag(instance, point) {
+    const hit = findAnnotationAtPoint(instance, point);
+    if (!hit) {
+        return false;
+    }
+
+    instance.annotationDrag = { id: hit.id, start: point, moved: false };
+    return true;
+}
+
+function updateAnnotationDrag(instance, point) {
+    const drag = instance.annotationDrag;
+    if (!drag.moved && Math.hypot(point[0] - drag.start[0], point[1] - drag.start[1]) <= 4) {
+        return;
+    }
+
+    const value = getPlotValueAtPoint(instance, point);
+    if (!value) {
+        return;
+    }
+
+    drag.moved = true;
+    instance.isDragging = true;
+    instance.activeAnnotationId = drag.id;
+    instance.annotations = instance.annotations.map((annotation) => {
+        if (annotation.id !== drag.id) {
+            return annotation;
+        }
+
+        return {
+            ...annotation,
+            price: annotation.kind === 'pnl' ? annotation.price : value[0],
+            pnl: annotation.kind === 'price' ? annotation.pnl : value[1]
+        };
+    });
+    applyAnnotations(instance);
+}
+
+function endAnnotationDrag(instance) {
+    const drag = instance.annotationDrag;
+    instance.annotationDrag = null;
+    instance.isDragging = false;
+    if (drag.moved) {
+        instance.suppressClickUntil = performance.now() + 250;
+        notifyAnnotationsChanged(instance);
+    }
+}
+
+function removeAnnotationAtPoint(instance, point) {
+    const hit = findAnnotationAtPoint(instance, point);
+    if (hit) {
+        removeAnnotation(instance, hit.id);
+    }
+}
+
+function removeAnnotation(instance, id) {
+    if (!id || !instance.annotations.some((annotation) => annotation.id === id)) {
+        return false;
+    }
+
+    instance.annotations = instance.annotations.filter((annotation) => annotation.id !== id);
+    if (instance.activeAnnotationId === id) {
+        instance.activeAnnotationId = null;
+    }
+    applyAnnotations(instance);
+    notifyAnnotationsChanged(instance);
+    return true;
+}
+
+export function dispose(instanceId) {
+    const instance = instances.get(instanceId);
+    if (!instance) {
+        return;
+    }
+
+    instance.resizeObserver.disconnect();
+    clearTimeout(instance.rangeTimer);
+    clearTimeout(instance.longPressTimer);
+    cancelPendingUpdate(instance);
+    stopPlaybackLoop(instance);
+    instance.playbackControls?.root.remove();
+    instance.markerCard?.remove();
+    leaveLinkGroup(instance);
+    const element = instance.chart.getDom();
+    element.removeEventListener('touchstart', instance.touchHandler);
+    element.removeEventListener('touchmove', instance.touchHandler);
+    element.removeEventListener('pointerdown', instance.pointerDownHandler);
+    element.removeEventListener('pointermove', instance.pointerMoveHandler);
+    element.removeEventListener('pointerup', instance.pointerUpHandler);
+    element.removeEventListener('pointercancel', instance.pointerCancelHandler);
+    element.removeEventListener('click', instance.domClickHandler);
+    element.removeEventListener('wheel', instance.wheelHandler);
+    element.removeEventListener('keydown', instance.keyDownHandler);
+    element.removeEventListener('contextmenu', instance.contextMenuHandler);
+    closeContextMenu(instance);
+    const zr = instance.chart.getZr();
+    zr.off('click', instance.clickHandler);
+    zr.off('dblclick');
+    instance.chart.off('click');
+    zr.off('mousedown');
+    zr.off('mousemove');
+    zr.off('mouseup');
+    zr.off('globalout');
+    zr.off('touchstart');
+    zr.off('touchmove');
+    zr.off('touchend');
+    instance.chart.dispose();
+    instances.delete(instanceId);
+}
+
+// P&L reads as a return on the capital figure from .NET when one is set; the series data stays absolute.
+function formatPnl(instance, value) {
+    const capital = instance?.pnlCapital;
+    if (Number.isFinite(capital) && capital > 0) {
+        return `${(value / capital * 100).toFixed(2)}%`;
+    }
+
+    return Number(value).toFixed(2);
+}
+
+function formatSignedPnl(instance, value) {
+    return `${value >= 0 ? '+' : ''}${formatPnl(instance, value)}`;
+}
+
+function formatPriceDistance(instance, value) {
+    const selected = instance?.selectedPrice;
+    if (!Number.isFinite(selected) || selected <= 0 || !Number.isFinite(value)) {
+        return '';
+    }
+
+    const percent = (value - selected) / selected * 100;
+    return `${percent > 0 ? '+' : ''}${percent.toFixed(1)}%`;
+}
+
+function formatAxisPrice(instance, value) {
+    return (instance?.priceDistance && formatPriceDistance(instance, value)) || String(value);
+}
+
+function formatPriceLabel(instance, value) {
+    return (instance?.priceDistance && formatPriceDistance(instance, value)) || formatPrice(value);
+}
+
+function refreshDisplayLabels(instance) {
+    // Formatters read the mode when ECharts draws, so re-applying the label options is enough to redraw them.
+    const option = instance.lastOption;
+    const axisUpdate = (axes, formatter) => Array.isArray(axes)
+        ? axes.map((axis, index) => index === 0 && axis?.axisLabel ? { axisLabel: { formatter } } : {})
+        : axes?.axisLabel ? { axisLabel: { formatter } } : {};
+    const update = {
+        xAxis: axisUpdate(option.xAxis, (value) => formatAxisPrice(instance, value)),
+        yAxis: axisUpdate(option.yAxis, (value) => formatPnl(instance, value)),
+        series: (option.series ?? [])
+            .filter((series) => typeof series?.id === 'string' && (series.id.endsWith('-be-exp') || series.id.endsWith('-be-temp')))
+            .map((series) => ({ id: series.id, label: { formatter: series.label.formatter } }))
+    };
+    instance.chart.setOption(update, { notMerge: false, lazyUpdate: true });
+    applyMarkers(instance);
+    applyAnnotations(instance);
+    applyAlerts(instance);
+    updateProbabilityStats(instance);
+    syncPriceWindow(instance);
+}
+
+function formatOneDecimal(value) {
+    if (!Number.isFinite(value)) {
+        return '0';
+    }
+
+    return Number(value).toFixed(1);
+}
+
+export function undoRange(instanceId) {
+    const instance = instances.get(instanceId);
+    if (!instance) {
+        return false;
+    }
+
+    return stepRangeHistory(instance, instance.rangeUndo, instance.rangeRedo);
+}
+
+export function redoRange(instanceId) {
+    const instance = instances.get(instanceId);
+    if (!instance) {
+        return false;
+    }
+
+    return stepRangeHistory(instance, instance.rangeRedo, instance.rangeUndo);
+}
+
+export function resetAutoScale(instanceId, resetXy, resetTime) {
+    const instance = instances.get(instanceId);
+    if (!instance) {
+        return;
+    }
+
+    resetRanges(instance, resetXy, resetTime);
+}
+
+export function fitRange(instanceId, mode, value) {
+    const instance = instances.get(instanceId);
+    if (instance) {
+        flushPendingUpdate(instance);
+    }
+    if (!instance?.lastOption) {
+        return false;
+    }
+
+    const x = getFitPriceRange(instance, mode, value);
+    if (!x) {
+        return false;
+    }
+
+    const y = getFitPnlRange(instance, x);
+    beginRangeChange(instance);
+    applyRanges(instance, y ? { x, y } : { x });
+    // Presets are stored and undone exactly like a finished drag.
+    commitRangeChange(instance);
+    return true;
+}
+
+function getFitPriceRange(instance, mode, value) {
+    if (mode === 'strikes') {
+        const prices = instance.markers
+            .map((marker) => Number.isFinite(marker?.price) ? marker.price : marker?.Price)
+            .filter(Number.isFinite);
+        return padPriceRange(prices, 0.1);
+    }
+
+    if (mode === 'breakevens') {
+        const prices = getVisiblePayoffData(instance).flatMap((data) => findZeroCrossings(data));
+        return padPriceRange(prices, Number.isFinite(value) && value >= 0 ? value / 100 : 0.25);
+    }
+
+    if (mode === 'percent') {
+        const current = getCurrentRange(instance, 'x');
+        const center = Number.isFinite(instance.selectedPrice)
+            ? instance.selectedPrice
+            : current ? (current.min + current.max) / 2 : null;
+        const percent = Number.isFinite(value) && value > 0 ? value : 10;
+        if (!Number.isFinite(center) || center <= 0) {
+            return null;
+        }
+
+        return { min: center * (1 - percent / 100), max: center * (1 + percent / 100) };
+    }
+
+    if (mode === 'candles') {
+        const time = getCurrentRange(instance, 'time');
+        const prices = [];
+        for (const candle of instance.candleData) {
+            if (time && (candle[0] < time.min || candle[0] > time.max)) {
+                continue;
+            }
+            prices.push(candle[3], candle[4]);
+        }
+        return padPriceRange(prices.filter(Number.isFinite), 0.05);
+    }
+
+    return null;
+}
+
+function padPriceRange(prices, padding) {
+    if (prices.length === 0) {
+        return null;
+    }
+
+    const min = Math.min(...prices);
+    const max = Math.max(...prices);
+    // A single level still needs a window around it, so fall back to a slice of the price itself.
+    const span = max > min ? max - min : Math.abs(min) * 0.2 || 1;
+    const pad = max > min ? span * padding : span / 2;
+    return { min: min - pad, max: max + pad };
+}
+
+function getVisiblePayoffData(instance) {
+    const result = [];
+    for (const [id, entry] of instance.seriesCache.entries()) {
+        if ((!id.endsWith('-expired') && !id.endsWith('-temp'))
+            || instance.legendSelected?.[entry.strategyName] === false
+            || entry.data.length < 2) {
+            continue;
+        }
+
+        result.push(entry.data);
+    }
+
+    return result;
+}
+
+function getFitPnlRange(instance, x) {
+    // Keep the zero line in view so the fitted window still reads as profit versus loss.
+    let min = 0;
+    let max = 0;
+    let found = false;
+    for (const data of getVisiblePayoffData(instance)) {
+        const values = data.filter((point) => point[0] >= x.min && point[0] <= x.max).map((point) => point[1]);
+        values.push(interpolatePnl(data, x.min), interpolatePnl(data, x.max));
+        for (const pnl of values) {
+            if (Number.isFinite(pnl)) {
+                min = Math.min(min, pnl);
+                max = Math.max(max, pnl);
+                found = true;
+            }
+        }
+    }
+
+    if (!found || max <= min) {
+        return null;
+    }
+
+    const pad = (max - min) * 0.1;
+    return { min: min - pad, max: max + pad };
+}
+
+function resetRanges(instance, resetXy, resetTime) {
+    if (resetXy) {
+        instance.currentRangeX = null;
+        instance.currentRangeY = null;
+    }
+    if (resetTime) {
+        instance.currentRangeTime = null;
+    }
+    if (resetXy || resetTime) {
+        instance.preserveRange = false;
+        queueRender(instance);
+    }
+}
+
+function handleDomClick(instance, evt) {
+    if (instance.isDragging || performance.now() < instance.suppressClickUntil) {
+        return;
+    }
+    const rect = instance.chart.getDom().getBoundingClientRect();
+    const point = [evt.clientX - rect.left, evt.clientY - rect.top];
+    selectPriceAtPoint(instance, point);
+}
+
+function emitRangeChanged(instance, fromLink = false) {
+    const xRange = instance.currentRangeX ?? getVisibleRange(instance.chart, 'x', 0);
+    const yRange = instance.currentRangeY ?? getVisibleRange(instance.chart, 'y', 0);
+    const timeRange = instance.currentRangeTime ?? getTimeAxisRange(instance);
+    if (!xRange || !yRange) {
+        return;
+    }
+
+    const previousX = instance.emittedRangeX;
+    const xChanged = !previousX || previousX.min !== xRange.min || previousX.max !== xRange.max;
+    instance.emittedRangeX = { min: xRange.min, max: xRange.max };
+    instance.dotNetRef.invokeMethodAsync('OnRangeChanged', xRange.min, xRange.max, yRange.min, yRange.max);
+    if (timeRange) {
+        instance.dotNetRef.invokeMethodAsync('OnTimeRangeChanged', timeRange.min, timeRange.max);
     }
     instance.rangeOverride = null;
     instance.timeRangeOverride = null;
+
+    if (!fromLink && xChanged) {
+        // Linked charts persist the shared x-range through their own callbacks; y and time ranges stay per chart.
+        for (const peer of getLinkedPeers(instance)) {
+            peer.preserveRange = true;
+            emitRangeChanged(peer, true);
+        }
+    }
+}
+
+function optionHasTimeAxis(option) {
+    return Array.isArray(option?.yAxis) && option.yAxis[1]?.type === 'time';
+}
+
+function getTimeAxisRange(instance) {
+    return optionHasTimeAxis(instance.lastOption) ? getVisibleRange(instance.chart, 'y', 1) : null;
+}
+
+function getVisibleRange(chart, axis, axisIndex) {
+    const option = chart.getOption();
+    if (axis === 'x') {
+        const xAxis = Array.isArray(option?.xAxis) ? option.xAxis[axisIndex] : option?.xAxis;
+        if (xAxis && Number.isFinite(xAxis.min) && Number.isFinite(xAxis.max)) {
+            return { min: xAxis.min, max: xAxis.max };
+        }
+    } else {
+        const yAxis = Array.isArray(option?.yAxis) ? option.yAxis[axisIndex] : option?.yAxis;
+        if (yAxis && Number.isFinite(yAxis.min) && Number.isFinite(yAxis.max)) {
+            return { min: yAxis.min, max: yAxis.max };
+        }
+    }
+
+    const axisComponent = chart.getModel().getComponent(`${axis}Axis`, axisIndex);
+    if (!axisComponent) {
+        return null;
+    }
+
+    const axisOption = axisComponent.option ?? {};
+    if (Number.isFinite(axisOption.min) && Number.isFinite(axisOption.max)) {
+        return { min: axisOption.min, max: axisOption.max };
+    }
+
+    const axisRuntime = axisComponent.axis;
+    const scale = axisRuntime?.scale;
+    if (!scale || typeof scale.getExtent !== 'function') {
+        return null;
+    }
+
+    const extent = scale.getExtent();
+    if (!Array.isArray(extent) || extent.length < 2 || !Number.isFinite(extent[0]) || !Number.isFinite(extent[1])) {
+        return null;
+    }
+
+    return { min: extent[0], max: extent[1] };
+}
+
+function normalizeOption(option, instance) {
+    const normalized = option ?? {};
+
+    const xAxes = Array.isArray(normalized.xAxis) ? normalized.xAxis : (normalized.xAxis ? [normalized.xAxis] : []);
+    const yAxes = Array.isArray(normalized.yAxis) ? normalized.yAxis : (normalized.yAxis ? [normalized.yAxis] : []);
+
+    if (xAxes[0]?.axisLabel) {
+        xAxes[0].axisLabel.formatter = (value) => formatAxisPrice(instance, value);
+    }
+
+    if (yAxes[0]?.axisLabel) {
+        yAxes[0].axisLabel.formatter = (value) => formatPnl(instance, value);
+    }
+
+    if (Array.isArray(normalized.xAxis)) {
+        normalized.xAxis = xAxes;
+    } else if (xAxes.length > 0) {
+        normalized.xAxis = xAxes[0];
+    }
+
+    if (Array.isArray(normalized.yAxis)) {
+        normalized.yAxis = yAxes;
+    } else if (yAxes.length > 0) {
+        normalized.yAxis = yAxes[0];
+    }
+
+    normalized.tooltip = normalized.tooltip ?? {};
+    normalized.tooltip.formatter = (params) => {
+        if (!Array.isArray(params) || params.length === 0) {
+            return '';
+        }
+
+        const axisValue = params[0].axisValue;
+        const distance = instance?.priceDistance ? formatPriceDistance(instance, axisValue) : '';
+        const lines = [`Price: ${formatPrice(axisValue)}${distance ? ` (${distance})` : ''}`];
+
+        for (const entry of params) {
+            const value = Array.isArray(entry.data) ? entry.data[1] : entry.value;
+            const seriesOption = instance?.lastOption?.series?.[entry.seriesIndex];
+            if (seriesOption?.skipTooltip) {
+                continue;
+            }
+            const pnl = seriesOption?.greekKey
+                ? formatPrice(Number(value))
+                : `${formatPnl(instance, Number(value))}${instance?.pnlCapital ? ` (${Number(value).toFixed(2)})` : ''}`;
+            const kind = seriesOption?.payoffKind ? ` ${seriesOption.payoffKind}` : '';
+            const pinned = seriesOption?.payoffKind ? formatSnapshotDifference(instance, seriesOption, axisValue) : '';
+            lines.push(`${entry.marker}${entry.seriesName}${kind}: ${pnl}${pinned}`);
+        }
+
+        return lines.join('<br/>');
+    };
+
+    if (Array.isArray(normalized.series)) {
+        stripInjectedComponents(normalized);
+        applyPlaybackFrame(normalized, instance);
+        if (instance?.showPnlZones) {
+            normalized.series.push(...buildPnlZoneSeries(normalized.series));
+        }
+        normalized.series.push(...buildSnapshotSeries(instance));
+
+        applyProbabilityOverlay(normalized, instance);
+        applyGreekPanels(normalized, instance);
+        applyOverview(normalized, instance);
+        applyCandleInterval(normalized, instance);
+        if (instance?.showVolumeProfile) {
+            normalized.series.push(buildVolumeProfileSeries());
+        }
+        normalized.series.push(buildAnnotationSeries());
+        normalized.series.push(buildAlertSeries());
+        applyPriceScale(normalized, instance);
+
+        for (const series of normalized.series) {
+            if (!series) {
+                continue;
+            }
+
+            const id = typeof series.id === 'string' ? series.id : '';
+            if (series.renderKind === 'tickerCandles') {
+                series.renderItem = (params, api) => renderTickerCandles(instance, params, api);
+            }
+            if (id.endsWith('-be-exp') || id.endsWith('-be-temp')) {
+                series.label = series.label ?? {};
+                series.label.formatter = (params) => formatPriceLabel(instance, Array.isArray(params.value) ? params.value[0] : params.value);
+            }
+        }
+    }
+
+    return normalized;
+}
+
+function buildSnapshotSeries(instance) {
+    const result = [];
+    for (const [index, snapshot] of (instance?.snapshots ?? []).entries()) {
+        for (const item of snapshot.series) {
+            result.push({
+                id: `__snapshot_${index}_${item.sourceId}__pinned`,
+                // Sharing the strategy name lets the legend toggle hide the ghost along with the live curve.
+                name: item.strategyName,
+                strategyName: item.strategyName,
+                snapshotOf: item.sourceId,
+                snapshotLabel: snapshot.label,
+                type: 'line',
+                data: item.data,
+                showSymbol: false,
+                silent: true,
+                smooth: false,
+                lineStyle: { color: item.color, width: 1.5, type: [4, 4], opacity: 0.45 },
+                itemStyle: { color: item.color, opacity: 0.45 },
+                emphasis: { disabled: true },
+                tooltip: { show: false },
+                skipTooltip: true,
+                z: 1
+            });
+        }
+    }
+
+    return result;
+}
+
+function formatSnapshotDifference(instance, seriesOption, price) {
+    const live = interpolatePnl(seriesOption.data, price);
+    if (!Number.isFinite(live)) {
+        return '';
+    }
+
+    const parts = [];
+    for (const series of instance?.lastOption?.series ?? []) {
+        if (series?.snapshotOf !== seriesOption.id || instance.legendSelected?.[series.strategyName] === false) {
+            continue;
+        }
+
+        const pinned = interpolatePnl(series.data, price);
+        if (Number.isFinite(pinned)) {
+            const diff = live - pinned;
+            parts.push(`Δ ${series.snapshotLabel} ${formatSignedPnl(instance, diff)}`);
+        }
+    }
+
+    return parts.length > 0 ? ` (${parts.join(', ')})` : '';
+}
+
+function buildPnlZoneSeries(seriesList) {
+    const zones = [];
+    for (const series of seriesList) {
+        const id = typeof series?.id === 'string' ? series.id : '';
+        const isTemp = id.endsWith('-temp');
+        if ((!isTemp && !id.endsWith('-expired')) || !Array.isArray(series.data) || series.data.length < 2) {
+            continue;
+        }
+
+        const opacity = isTemp ? 0.08 : 0.14;
+        for (const sign of [1, -1]) {
+            zones.push({
+                id: `${id}-zone-${sign > 0 ? 'profit' : 'loss'}`,
+                name: series.name,
+                strategyName: series.strategyName ?? series.name,
+                zoneOf: id,
+                type: 'line',
+                data: buildPnlZoneData(series.data, sign),
+                showSymbol: false,
+                silent: true,
+                smooth: false,
+                lineStyle: { width: 0, opacity: 0 },
+                areaStyle: {
+                    origin: 0,
+                    color: sign > 0 ? `rgba(16,185,129,${opacity})` : `rgba(239,68,68,${opacity})`
+                },
+                emphasis: { disabled: true },
+                tooltip: { show: false },
+                skipTooltip: true,
+                z: 1
+            });
+        }
+    }
+
+    return zones;
+}
+
+function buildPnlZoneData(data, sign) {
+    const result = [];
+    let prev = null;
+    for (const point of data) {
+        const price = Array.isArray(point) ? point[0] : null;
+        const pnl = Array.isArray(point) ? point[1] : null;
+        if (!Number.isFinite(price) || !Number.isFinite(pnl)) {
+            continue;
+        }
+
+        // Interpolate crossings the same way PayoffChart.GetBreakEvens does so zones split exactly at the BE markers.
+        if (prev && ((prev[1] > 0 && pnl < 0) || (prev[1] < 0 && pnl > 0))) {
+            const t = prev[1] / (prev[1] - pnl);
+            result.push([prev[0] + t * (price - prev[0]), 0]);
+        }
+
+        result.push([price, sign > 0 ? Math.max(pnl, 0) : Math.min(pnl, 0)]);
+        prev = [price, pnl];
+    }
+
+    return result;
+}
+
+function stripInjectedComponents(option) {
+    // Re-rendering the last option must not stack overlays; injected axes sit after the ones .NET sends.
+    option.series = option.series.filter((series) => !series?.zoneOf
+        && !series?.snapshotOf
+        && !series?.greekKey
+        && !isOverviewComponent(series)
+        && series?.id !== '__probability__'
+        && series?.id !== '__volume_profile__'
+        && series?.id !== '__annotations__'
+        && series?.id !== '__alerts__');
+    if (Array.isArray(option.yAxis)) {
+        option.yAxis = option.yAxis.filter((axis) => axis?.id !== '__probability_axis__' && !isGreekComponent(axis) && !isOverviewComponent(axis));
+    }
+    if (Array.isArray(option.xAxis)) {
+        option.xAxis = option.xAxis.filter((axis) => !isGreekComponent(axis) && !isOverviewComponent(axis));
+    }
+    if (Array.isArray(option.grid)) {
+        option.grid = option.grid.filter((grid) => !isGreekComponent(grid) && !isOverviewComponent(grid));
+    }
+}
+
+function applyProbabilityOverlay(option, instance) {
+    const model = getProbabilityModel(instance?.probability);
+    if (!model) {
+        return;
+    }
+
+    let min = Number.POSITIVE_INFINITY;
+    let max = Number.NEGATIVE_INFINITY;
+    for (const series of getShownExpirySeries(option, instance)) {
+        for (const point of series.data) {
+            if (Array.isArray(point) && Number.isFinite(point[0])) {
+                min = Math.min(min, point[0]);
+                max = Math.max(max, point[0]);
+            }
+        }
+    }
+    if (!Number.isFinite(min) || !Number.isFinite(max) || max <= min) {
+        min = model.spot * Math.exp(-4 * model.sigma);
+        max = model.spot * Math.exp(4 * model.sigma);
+    }
+
+    const data = [];
+    let peak = 0;
+    const steps = 200;
+    for (let i = 0; i <= steps; i++) {
+        const price = min + (max - min) * i / steps;
+        const density = lognormalDensity(model, price);
+        peak = Math.max(peak, density);
+        data.push([price, density]);
+    }
+    if (peak <= 0) {
+        return;
+    }
+
+    const yAxes = Array.isArray(option.yAxis) ? option.yAxis : (option.yAxis ? [option.yAxis] : []);
+    yAxes.push({
+        id: '__probability_axis__',
+        type: 'value',
+        show: false,
+        min: 0,
+        // Keep the density in the lower third so it does not compete with the payoff curves.
+        max: peak * 3,
+        splitLine: { show: false }
+    });
+    option.yAxis = yAxes;
+    option.series.push({
+        id: '__probability__',
+        name: 'Probability',
+        type: 'line',
+        xAxisIndex: 0,
+        yAxisIndex: yAxes.length - 1,
+        data,
+        showSymbol: false,
+        silent: true,
+        smooth: true,
+        lineStyle: { color: 'rgba(99,102,241,0.55)', width: 1 },
+        areaStyle: { color: 'rgba(99,102,241,0.08)' },
+        tooltip: { show: false },
+        skipTooltip: true,
+        z: 0
+    });
+}
+
+function isGreekComponent(component) {
+    return typeof component?.id === 'string' && component.id.startsWith('__greek_');
+}
+
+function applyGreekPanels(option, instance) {
+    const grids = Array.isArray(option.grid) ? option.grid : (option.grid ? [option.grid] : []);
+    const xAxes = Array.isArray(option.xAxis) ? option.xAxis : (option.xAxis ? [option.xAxis] : []);
+    const mainGrid = grids[0];
+    const mainXAxis = xAxes[0];
+    const mainYAxis = Array.isArray(option.yAxis) ? option.yAxis[0] : option.yAxis;
+    if (!mainGrid || !mainXAxis || !mainYAxis) {
+        return;
+    }
+
+    const panels = instance?.greekPanels ?? [];
+    const panelHeight = 64;
+    // Leaves room for the payoff x-axis labels between the main grid and the first panel.
+    const panelGap = 26;
+    mainGrid.baseBottom = mainGrid.baseBottom ?? (Number.isFinite(mainGrid.bottom) ? mainGrid.bottom : 40);
+    // The overview strip, when shown, takes the bottom of the chart below every other grid.
+    const stackBottom = mainGrid.baseBottom + (instance?.showOverview ? overviewLayout.height + overviewLayout.bottom : 0);
+    const stackHeight = panels.length * (panelHeight + panelGap);
+    mainGrid.bottom = stackBottom + stackHeight;
+    // The chart element grows by the panel stack (see .payoff-chart in app.css), so the payoff grid keeps its height.
+    instance?.chart.getDom().style.setProperty('--payoff-chart-panels-height', `${stackHeight}px`);
+    if (panels.length === 0) {
+        option.grid = mainGrid;
+        if (Array.isArray(option.xAxis)) {
+            option.xAxis = xAxes;
+        }
+        return;
+    }
+
+    const yAxes = Array.isArray(option.yAxis) ? option.yAxis : [option.yAxis];
+    const axisColor = mainYAxis.axisLabel?.color;
+    panels.forEach((panel, k) => {
+        const gridIndex = k + 1;
+        grids.push({
+            id: `__greek_grid_${k}`,
+            left: mainGrid.left,
+            right: mainGrid.right,
+            height: panelHeight,
+            bottom: stackBottom + (panels.length - 1 - k) * (panelHeight + panelGap),
+            outerBoundsMode: mainGrid.outerBoundsMode
+        });
+        xAxes.push({
+            id: `__greek_x_${k}`,
+            type: 'value',
+            gridIndex,
+            min: mainXAxis.min,
+            max: mainXAxis.max,
+            axisLabel: { show: false },
+            axisTick: { show: false },
+            axisLine: mainXAxis.axisLine,
+            splitLine: mainXAxis.splitLine
+        });
+        yAxes.push({
+            id: `__greek_y_${k}`,
+            type: 'value',
+            gridIndex,
+            name: panel.title,
+            nameLocation: 'end',
+            nameGap: 4,
+            nameTextStyle: { fontSize: 10, color: axisColor, align: 'left' },
+            splitNumber: 2,
+            scale: true,
+            axisLabel: { fontSize: 9, color: axisColor, formatter: (value) => formatPrice(value) },
+            axisLine: mainYAxis.axisLine,
+            axisTick: mainYAxis.axisTick,
+            splitLine: mainYAxis.splitLine
+        });
+        const yAxisIndex = yAxes.length - 1;
+        for (const curve of panel.curves) {
+            option.series.push({
+                id: `${curve.strategyId}-greek-${panel.key}`,
+                name: curve.strategyName,
+                strategyName: curve.strategyName,
+                greekKey: panel.key,
+                payoffKind: panel.title,
+                type: 'line',
+                xAxisIndex: gridIndex,
+                yAxisIndex,
+                data: curve.data,
+                showSymbol: false,
+                smooth: false,
+                emphasis: { focus: 'none' },
+                itemStyle: { color: curve.color },
+                lineStyle: { color: curve.color, width: 1.5 }
+            });
+        }
+    });
+
+    option.grid = grids;
+    option.xAxis = xAxes;
+    option.yAxis = yAxes;
+    option.axisPointer = { ...(option.axisPointer ?? {}), link: [{ xAxisIndex: 'all' }] };
+}
+
+function syncPriceWindow(instance) {
+    syncGreekPanelAxes(instance);
+    syncOverview(instance);
+    applyExtremaMarkers(instance);
+}
+
+function isOverviewComponent(component) {
+    return typeof component?.id === 'string' && component.id.startsWith('__overview_');
+}
+
+function applyOverview(option, instance) {
+    if (!instance?.showOverview) {
+        return;
+    }
+
+    const grids = Array.isArray(option.grid) ? option.grid : (option.grid ? [option.grid] : []);
+    const xAxes = Array.isArray(option.xAxis) ? option.xAxis : (option.xAxis ? [option.xAxis] : []);
+    const yAxes = Array.isArray(option.yAxis) ? option.yAxis : (option.yAxis ? [option.yAxis] : []);
+    const mainGrid = grids[0];
+    const mainXAxis = xAxes[0];
+    if (!mainGrid || !mainXAxis) {
+        return;
+    }
+
+    const curves = getShownExpirySeries(option, instance);
+    const extent = { min: Number.POSITIVE_INFINITY, max: Number.NEGATIVE_INFINITY };
+    let pnlMin = Number.POSITIVE_INFINITY;
+    let pnlMax = Number.NEGATIVE_INFINITY;
+    for (const curve of curves) {
+        for (const point of curve.data) {
+            if (Array.isArray(point) && Number.isFinite(point[0]) && Number.isFinite(point[1])) {
+                extent.min = Math.min(extent.min, point[0]);
+                extent.max = Math.max(extent.max, point[0]);
+                pnlMin = Math.min(pnlMin, point[1]);
+                pnlMax = Math.max(pnlMax, point[1]);
+            }
+        }
+    }
+
+    const gridIndex = grids.length;
+    grids.push({
+        id: '__overview_grid__',
+        left: mainGrid.left,
+        right: mainGrid.right,
+        height: overviewLayout.height,
+        // A bottom legend keeps the lowest strip of the chart, so the overview sits just above it.
+        bottom: option.legend && option.legend.show !== false ? overviewLayout.legendBottom : overviewLayout.bottom,
+        outerBoundsMode: mainGrid.outerBoundsMode
+    });
+    xAxes.push({
+        id: '__overview_x__',
+        type: 'value',
+        gridIndex,
+        min: Number.isFinite(extent.min) ? extent.min : null,
+        max: Number.isFinite(extent.max) ? extent.max : null,
+        dataExtent: Number.isFinite(extent.min) && extent.max > extent.min ? extent : null,
+        axisLabel: { show: false },
+        axisTick: { show: false },
+        axisLine: mainXAxis.axisLine,
+        splitLine: { show: false },
+        axisPointer: { show: false }
+    });
+    const padding = pnlMax > pnlMin ? (pnlMax - pnlMin) * 0.1 : 1;
+    yAxes.push({
+        id: '__overview_y__',
+        type: 'value',
+        gridIndex,
+        show: false,
+        min: Number.isFinite(pnlMin) ? pnlMin - padding : null,
+        max: Number.isFinite(pnlMax) ? pnlMax + padding : null
+    });
+
+    const xAxisIndex = xAxes.length - 1;
+    const yAxisIndex = yAxes.length - 1;
+    for (const curve of curves) {
+        option.series.push({
+            id: `${curve.id}-overview`,
+            overviewOf: curve.id,
+            name: curve.name,
+            strategyName: curve.strategyName,
+            type: 'line',
+            xAxisIndex,
+            yAxisIndex,
+            data: curve.data,
+            showSymbol: false,
+            smooth: false,
+            silent: true,
+            animation: false,
+            skipTooltip: true,
+            tooltip: { show: false },
+            itemStyle: { color: curve.lineStyle?.color },
+            lineStyle: { color: curve.lineStyle?.color, width: 1, opacity: curve.lineStyle?.opacity ?? 1 }
+        });
+    }
+    option.series.push({
+        id: '__overview_window__',
+        type: 'line',
+        xAxisIndex,
+        yAxisIndex,
+        data: [],
+        silent: true,
+        animation: false,
+        skipTooltip: true,
+        tooltip: { show: false }
+    });
+
+    option.grid = grids;
+    option.xAxis = xAxes;
+    option.yAxis = yAxes;
 }
 
-function getVisibleRange(chart, axis, axisIndex) {
-    const option = chart.getOption();
-    if (axis === 'x') {
-        const xAxis = Array.isArray(option?.xAxis) ? option.xAxis[axisIndex] : option?.xAxis;
-        if (xAxis && Number.isFinite(xAxis.min) && Number.isFinite(xAxis.max)) {
-            return { min: xAxis.min, max: xAxis.max };
+function syncOverview(instance) {
+    const axis = Array.isArray(instance.lastOption?.xAxis)
+        ? instance.lastOption.xAxis.find((candidate) => candidate?.id === '__overview_x__')
+        : null;
+    const range = getCurrentRange(instance, 'x');
+    if (!axis || !range) {
+        instance.overviewExtent = null;
+        return;
+    }
+
+    // The strip spans the whole payoff plus the current window; it holds still while its brush is dragged.
+    const dataExtent = axis.dataExtent ?? range;
+    const extent = instance.axisDrag?.overview?.extent ?? {
+        min: Math.min(dataExtent.min, range.min),
+        max: Math.max(dataExtent.max, range.max)
+    };
+    instance.overviewExtent = extent;
+    const color = 'rgba(59,130,246,0.7)';
+    instance.chart.setOption({
+        xAxis: [{ id: '__overview_x__', min: extent.min, max: extent.max }],
+        series: [{
+            id: '__overview_window__',
+            markArea: {
+                silent: true,
+                animation: false,
+                itemStyle: { color: 'rgba(59,130,246,0.12)', borderColor: color, borderWidth: 1 },
+                data: [[{ xAxis: range.min }, { xAxis: range.max }]]
+            },
+            markLine: {
+                silent: true,
+                animation: false,
+                symbol: 'none',
+                label: { show: false },
+                lineStyle: { color, width: 3, type: 'solid' },
+                data: [{ xAxis: range.min }, { xAxis: range.max }]
+            }
+        }]
+    }, { notMerge: false, lazyUpdate: true });
+}
+
+function getOverviewRect(chart) {
+    const grid = chart.getModel().queryComponents({ mainType: 'grid', id: '__overview_grid__' })?.[0];
+    const coord = grid?.coordinateSystem;
+    return coord && typeof coord.getRect === 'function' ? coord.getRect() : null;
+}
+
+function startOverviewDrag(instance, point) {
+    const drag = instance.axisDrag;
+    const rect = getOverviewRect(instance.chart);
+    const extent = instance.overviewExtent;
+    const range = drag.startRange.x;
+    if (!rect || !extent || !range || extent.max <= extent.min) {
+        drag.overview = null;
+        return;
+    }
+
+    const toPixel = (value) => rect.x + getPriceFraction(instance, extent, value) * rect.width;
+    const minPixel = toPixel(range.min);
+    const maxPixel = toPixel(range.max);
+    let part = 'move';
+    if (Math.abs(point[0] - minPixel) <= 6) {
+        part = 'min';
+    } else if (Math.abs(point[0] - maxPixel) <= 6) {
+        part = 'max';
+    } else if (point[0] < minPixel || point[0] > maxPixel) {
+        // Clicking outside the brush jumps the window there, then the drag keeps moving it.
+        const logScale = usesLogScale(instance.logPrice, extent, range);
+        const scaledExtent = toPriceScale(logScale, extent);
+        const value = scaledExtent.min + (point[0] - rect.x) / rect.width * (scaledExtent.max - scaledExtent.min);
+        const centered = inPriceScale(logScale, range, (scaled) => shiftRange(scaled, value - (scaled.min + scaled.max) / 2));
+        applyZoom(instance, 'x', centered);
+        instance.currentRangeX = centered;
+        instance.rangeOverride = { x: centered };
+        broadcastRangeX(instance, centered);
+        drag.startRange.x = centered;
+    }
+
+    drag.overview = { rect, extent, part };
+}
+
+function syncGreekPanelAxes(instance) {
+    if (!instance.greekPanels || instance.greekPanels.length === 0 || !instance.lastOption) {
+        return;
+    }
+
+    // Panels fit their y axis to what is visible in the shared price window.
+    const xRange = getCurrentRange(instance, 'x');
+    const updates = instance.greekPanels.map((panel, k) => {
+        let min = Number.POSITIVE_INFINITY;
+        let max = Number.NEGATIVE_INFINITY;
+        for (const curve of panel.curves) {
+            if (instance.legendSelected?.[curve.strategyName] === false) {
+                continue;
+            }
+
+            for (const [price, value] of curve.data) {
+                if (!Number.isFinite(value) || (xRange && (price < xRange.min || price > xRange.max))) {
+                    continue;
+                }
+
+                min = Math.min(min, value);
+                max = Math.max(max, value);
+            }
         }
-    } else {
-        const yAxis = Array.isArray(option?.yAxis) ? option.yAxis[axisIndex] : option?.yAxis;
-        if (yAxis && Number.isFinite(yAxis.min) && Number.isFinite(yAxis.max)) {
-            return { min: yAxis.min, max: yAxis.max };
+
+        if (!Number.isFinite(min) || !Number.isFinite(max)) {
+            return { id: `__greek_y_${k}`, min: null, max: null };
+        }
+
+        const padding = max > min ? (max - min) * 0.1 : Math.max(Math.abs(max) * 0.1, 1e-6);
+        return { id: `__greek_y_${k}`, min: min - padding, max: max + padding };
+    });
+
+    instance.chart.setOption({ yAxis: updates }, { notMerge: false, lazyUpdate: true });
+}
+
+function applyExtremaMarkers(instance) {
+    if (!Array.isArray(instance.lastOption?.series)) {
+        return;
+    }
+
+    const xRange = getCurrentRange(instance, 'x');
+    const updates = [];
+    const byId = new Map(instance.lastOption.series.map((series) => [series?.id, series]));
+    for (const series of instance.lastOption.series) {
+        if (!isPayoffCurve(series)) {
+            continue;
         }
+
+        const hidden = !instance.showExtrema || instance.legendSelected?.[series.strategyName ?? series.name] === false;
+        const expiry = series.id.endsWith('-temp') ? byId.get(`${series.id.slice(0, -'-temp'.length)}-expired`) : null;
+        const extrema = hidden ? null : findVisibleExtrema(series.data, xRange, expiry?.data);
+        updates.push({
+            id: series.id,
+            markPoint: {
+                silent: true,
+                animation: false,
+                data: extrema ? buildExtremaMarks(instance, series, extrema) : []
+            }
+        });
     }
 
-    const axisComponent = chart.getModel().getComponent(`${axis}Axis`, axisIndex);
-    if (!axisComponent) {
-        return null;
+    if (updates.length > 0) {
+        instance.chart.setOption({ series: updates }, { notMerge: false, lazyUpdate: true });
     }
+}
 
-    const axisOption = axisComponent.option ?? {};
-    if (Number.isFinite(axisOption.min) && Number.isFinite(axisOption.max)) {
-        return { min: axisOption.min, max: axisOption.max };
+function isPayoffCurve(series) {
+    return typeof series?.id === 'string'
+        && (series.id.endsWith('-expired') || series.id.endsWith('-temp'))
+        && Boolean(series.payoffKind)
+        && series.lineStyle?.opacity !== 0
+        && Array.isArray(series.data);
+}
+
+function buildExtremaMarks(instance, series, extrema) {
+    const { high, low, leftEdge, rightEdge, rising, falling } = extrema;
+    const color = series.lineStyle?.color ?? series.itemStyle?.color ?? '#6b7280';
+    const symbol = series.payoffKind === 'Temp' ? 'emptyCircle' : 'circle';
+    const mark = (point, text, position) => ({
+        coord: [point[0], point[1]],
+        symbol,
+        symbolSize: 6,
+        itemStyle: { color },
+        label: { show: true, formatter: text, position, color, fontSize: 9, distance: 4 }
+    });
+
+    const marks = [];
+    const unboundedEdges = { profit: [], loss: [] };
+    for (const [side, edge, up, down] of [['left', leftEdge, '↖', '↙'], ['right', rightEdge, '↗', '↘']]) {
+        if (rising[side]) {
+            unboundedEdges.profit.push(edge);
+            marks.push(mark(edge, `Unbounded profit ${up}`, 'top'));
+        } else if (falling[side]) {
+            unboundedEdges.loss.push(edge);
+            marks.push(mark(edge, `Unbounded loss ${down}`, 'bottom'));
+        }
     }
 
-    const axisRuntime = axisComponent.axis;
-    const scale = axisRuntime?.scale;
-    if (!scale || typeof scale.getExtent !== 'function') {
-        return null;
+    // A flat window has no extremes, and one on an edge already flagged as unbounded is redundant.
+    if (high[1] === low[1]) {
+        return marks;
+    }
+    if (!unboundedEdges.profit.some((edge) => isSamePoint(edge, high))) {
+        marks.push(mark(high, `Max profit ${formatPnl(instance, high[1])}`, 'top'));
+    }
+    if (!unboundedEdges.loss.some((edge) => isSamePoint(edge, low))) {
+        marks.push(mark(low, `Max loss ${formatPnl(instance, low[1])}`, 'bottom'));
     }
 
-    const extent = scale.getExtent();
-    if (!Array.isArray(extent) || extent.length < 2 || !Number.isFinite(extent[0]) || !Number.isFinite(extent[1])) {
+    return marks;
+}
+
+function isSamePoint(a, b) {
+    return a[0] === b[0] && a[1] === b[1];
+}
+
+function getExpirySeries(option) {
+    if (!Array.isArray(option?.series)) {
+        return [];
+    }
+
+    return option.series.filter((series) => typeof series?.id === 'string'
+        && series.id.endsWith('-expired')
+        && Array.isArray(series.data)
+        && series.data.length > 1);
+}
+
+// While the option is being normalized its legend selection is the newest one, so it wins over the local state.
+function getShownExpirySeries(option, instance) {
+    const selected = option?.legend?.selected ?? instance?.legendSelected;
+    return getExpirySeries(option).filter((series) => selected?.[series.name] !== false);
+}
+
+function updateProbabilityStats(instance) {
+    const model = getProbabilityModel(instance.probability);
+    const stats = [];
+    if (model) {
+        for (const series of getShownExpirySeries(instance.lastOption, instance)) {
+            const result = integratePayoff(model, series.data);
+            if (!result) {
+                continue;
+            }
+
+            stats.push({
+                strategyId: series.id.slice(0, -'-expired'.length),
+                strategyName: series.strategyName ?? series.name ?? '',
+                probabilityOfProfit: result.probabilityOfProfit,
+                expectedPnl: result.expectedPnl
+            });
+        }
+    }
+
+    const key = JSON.stringify(stats);
+    if (key === instance.probabilityStatsKey) {
+        return;
+    }
+
+    instance.probabilityStatsKey = key;
+    instance.dotNetRef.invokeMethodAsync('OnProbabilityStatsChanged', stats);
+}
+
+function normalizePlaybackFrame(frame) {
+    const valuationDate = frame?.valuationDate ?? frame?.ValuationDate;
+    const curves = frame?.curves ?? frame?.Curves;
+    if (!valuationDate || !Array.isArray(curves)) {
         return null;
     }
 
-    return { min: extent[0], max: extent[1] };
+    const data = new Map();
+    for (const curve of curves) {
+        const strategyId = curve?.strategyId ?? curve?.StrategyId;
+        const points = curve?.points ?? curve?.Points;
+        if (!strategyId || !Array.isArray(points)) {
+            continue;
+        }
+
+        data.set(strategyId, points
+            .map((point) => [Number(point?.price ?? point?.Price), Number(point?.pnl ?? point?.Pnl)])
+            .filter((point) => Number.isFinite(point[0]) && Number.isFinite(point[1])));
+    }
+
+    return { valuationDate, data };
 }
 
-function normalizeOption(option, instance) {
-    const normalized = option ?? {};
+function startPlayback(instance) {
+    const playback = instance.playback;
+    if (!playback || playback.playing) {
+        return;
+    }
 
-    const xAxes = Array.isArray(normalized.xAxis) ? normalized.xAxis : (normalized.xAxis ? [normalized.xAxis] : []);
-    const yAxes = Array.isArray(normalized.yAxis) ? normalized.yAxis : (normalized.yAxis ? [normalized.yAxis] : []);
+    if (playback.position >= playback.frames.length - 1) {
+        playback.position = 0;
+    }
 
-    if (xAxes[0]?.axisLabel) {
-        xAxes[0].axisLabel.formatter = (value) => String(value);
+    playback.playing = true;
+    playback.active = true;
+    playback.lastTime = performance.now();
+    playback.raf = requestAnimationFrame((time) => stepPlayback(instance, time));
+    renderPlaybackControls(instance);
+}
+
+function stepPlayback(instance, time) {
+    const playback = instance.playback;
+    if (!playback || !playback.playing) {
+        return;
     }
 
-    if (yAxes[0]?.axisLabel) {
-        yAxes[0].axisLabel.formatter = (value) => Number(value).toFixed(2);
+    const last = playback.frames.length - 1;
+    playback.position = Math.min(last, playback.position + (time - playback.lastTime) / playback.frameMs);
+    playback.lastTime = time;
+    updatePlaybackSeries(instance);
+    updatePlaybackControls(instance);
+    if (playback.position >= last) {
+        finishPlayback(instance);
+        return;
     }
 
-    if (Array.isArray(normalized.xAxis)) {
-        normalized.xAxis = xAxes;
-    } else if (xAxes.length > 0) {
-        normalized.xAxis = xAxes[0];
+    playback.raf = requestAnimationFrame((next) => stepPlayback(instance, next));
+}
+
+function stopPlaybackLoop(instance) {
+    const playback = instance.playback;
+    if (!playback) {
+        return;
     }
 
-    if (Array.isArray(normalized.yAxis)) {
-        normalized.yAxis = yAxes;
-    } else if (yAxes.length > 0) {
-        normalized.yAxis = yAxes[0];
+    cancelAnimationFrame(playback.raf);
+    playback.raf = 0;
+    playback.playing = false;
+}
+
+function finishPlayback(instance) {
+    const playback = instance.playback;
+    stopPlaybackLoop(instance);
+    // Settle on a whole frame so the curve matches the date reported to .NET.
+    playback.position = Math.round(playback.position);
+    updatePlaybackSeries(instance);
+    renderPlaybackControls(instance);
+    notifyPlaybackStopped(instance);
+}
+
+function notifyPlaybackStopped(instance) {
+    const frame = instance.playback.frames[Math.round(instance.playback.position)];
+    instance.dotNetRef.invokeMethodAsync('OnPlaybackStopped', frame.valuationDate);
+}
+
+function getPlaybackData(playback, strategyId) {
+    const index = Math.floor(playback.position);
+    const from = playback.frames[index].data.get(strategyId);
+    const to = playback.frames[index + 1]?.data.get(strategyId);
+    const t = playback.position - index;
+    if (!from || !to || t === 0 || to.length !== from.length) {
+        return from;
     }
 
-    normalized.tooltip = normalized.tooltip ?? {};
-    normalized.tooltip.formatter = (params) => {
-        if (!Array.isArray(params) || params.length === 0) {
-            return '';
+    // Neighbouring frames share the price grid, so blending P&L point by point is enough for a smooth morph.
+    return from.map((point, i) => [point[0], point[1] + (to[i][1] - point[1]) * t]);
+}
+
+function applyPlaybackFrame(option, instance) {
+    const playback = instance?.playback;
+    if (!playback?.active || !Array.isArray(option?.series)) {
+        return [];
+    }
+
+    const changed = [];
+    for (const series of option.series) {
+        const id = typeof series?.id === 'string' ? series.id : '';
+        if (!id.endsWith('-temp') || series.payoffKind === undefined) {
+            continue;
         }
 
-        const axisValue = params[0].axisValue;
-        const lines = [`Price: ${formatPrice(axisValue)}`];
+        const strategyId = id.slice(0, -'-temp'.length);
+        const data = getPlaybackData(playback, strategyId);
+        if (!data) {
+            continue;
+        }
 
-        for (const entry of params) {
-            const value = Array.isArray(entry.data) ? entry.data[1] : entry.value;
-            const pnl = Number(value).toFixed(2);
-            const seriesOption = instance?.lastOption?.series?.[entry.seriesIndex];
-            if (seriesOption?.skipTooltip) {
-                continue;
+        setPlaybackData(playback, series, data);
+        changed.push(id);
+        const breakEvens = option.series.find((item) => item?.id === `${strategyId}-be-temp`);
+        if (breakEvens) {
+            setPlaybackData(playback, breakEvens, findZeroCrossings(data).map((price) => [price, 0]));
+            changed.push(breakEvens.id);
+        }
+        for (const zone of option.series) {
+            if (zone?.zoneOf === id) {
+                zone.data = buildPnlZoneData(data, zone.id.endsWith('-profit') ? 1 : -1);
+                changed.push(zone.id);
             }
-            const kind = seriesOption?.payoffKind ? ` ${seriesOption.payoffKind}` : '';
-            lines.push(`${entry.marker}${entry.seriesName}${kind}: ${pnl}`);
         }
+    }
 
-        return lines.join('<br/>');
-    };
+    return changed;
+}
 
-    if (Array.isArray(normalized.series)) {
-        for (const series of normalized.series) {
-            if (!series) {
-                continue;
-            }
+// Played frames are written into the cached option so local re-renders keep them. Whatever data a series held before
+// that, the live curve from .NET or a newer option's, is kept aside for restoreLiveSeries.
+function setPlaybackData(playback, series, data) {
+    if (!playback.played.has(series.data)) {
+        playback.live.set(series.id, series.data);
+    }
 
-            const id = typeof series.id === 'string' ? series.id : '';
-            if (series.renderKind === 'tickerCandles') {
-                series.renderItem = renderTickerCandles;
+    playback.played.add(data);
+    series.data = data;
+}
+
+function restoreLiveSeries(instance) {
+    const live = instance.playback?.live;
+    if (!live || live.size === 0) {
+        return;
+    }
+
+    for (const series of instance.lastOption?.series ?? []) {
+        if (series && live.has(series.id)) {
+            series.data = live.get(series.id);
+        }
+    }
+    live.clear();
+}
+
+function updatePlaybackSeries(instance) {
+    if (!instance.lastOption) {
+        return;
+    }
+
+    const changed = applyPlaybackFrame(instance.lastOption, instance);
+    if (changed.length === 0) {
+        return;
+    }
+
+    cacheSeries(instance, instance.lastOption);
+    const updates = changed.map((id) => {
+        const entry = instance.seriesCache.get(id);
+        const isVisible = !instance.legendSelected || instance.legendSelected[entry?.strategyName] !== false;
+        return { id, data: isVisible && entry ? entry.data : [] };
+    });
+    instance.chart.setOption({ series: updates }, { notMerge: false, lazyUpdate: true });
+    syncPriceWindow(instance);
+}
+
+function renderPlaybackControls(instance) {
+    const playback = instance.playback;
+    if (!playback) {
+        instance.playbackControls?.root.remove();
+        instance.playbackControls = null;
+        return;
+    }
+
+    if (!instance.playbackControls) {
+        const root = document.createElement('div');
+        root.className = 'payoff-chart-playback';
+        const button = document.createElement('button');
+        button.type = 'button';
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = '0';
+        slider.step = 'any';
+        const label = document.createElement('span');
+        root.append(button, slider, label);
+        instance.overlayHost.appendChild(root);
+
+        button.addEventListener('click', () => {
+            if (instance.playback?.playing) {
+                finishPlayback(instance);
+            } else {
+                startPlayback(instance);
             }
-            if (id.endsWith('-be-exp') || id.endsWith('-be-temp')) {
-                series.label = series.label ?? {};
-                series.label.formatter = (params) => formatPrice(Array.isArray(params.value) ? params.value[0] : params.value);
+        });
+        // Scrubbing stays in JS; only letting go of the slider reports the date.
+        slider.addEventListener('input', () => {
+            const current = instance.playback;
+            if (!current) {
+                return;
+            }
+
+            stopPlaybackLoop(instance);
+            current.active = true;
+            current.position = Number(slider.value);
+            updatePlaybackSeries(instance);
+            renderPlaybackControls(instance);
+        });
+        slider.addEventListener('change', () => {
+            if (instance.playback) {
+                finishPlayback(instance);
             }
+        });
+        instance.playbackControls = { root, button, slider, label };
+    }
+
+    const { button, slider } = instance.playbackControls;
+    button.textContent = playback.playing ? '❚❚' : '▶';
+    button.title = playback.playing ? 'Pause' : 'Play';
+    slider.max = String(playback.frames.length - 1);
+    updatePlaybackControls(instance);
+}
+
+function updatePlaybackControls(instance) {
+    const playback = instance.playback;
+    const controls = instance.playbackControls;
+    if (!playback || !controls) {
+        return;
+    }
+
+    controls.slider.value = String(playback.position);
+    controls.label.textContent = formatPlaybackDate(playback.frames[Math.round(playback.position)].valuationDate);
+}
+
+function formatPlaybackDate(value) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        return String(value);
+    }
+
+    return date.toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+function buildVolumeProfileSeries() {
+    return {
+        id: '__volume_profile__',
+        type: 'custom',
+        coordinateSystem: 'cartesian2d',
+        xAxisIndex: 0,
+        yAxisIndex: 0,
+        dimensions: ['from', 'to', 'share', 'kind', 'zero'],
+        // Only the price bounds feed the x extent; the constant zero keeps the P&L extent untouched.
+        encode: { x: [0, 1], y: 4 },
+        renderItem: renderVolumeProfile,
+        data: [],
+        silent: true,
+        tooltip: { show: false },
+        skipTooltip: true,
+        z: 0,
+        zlevel: 0
+    };
+}
+
+function refreshVolumeProfile(instance) {
+    if (!instance.showVolumeProfile || !instance.lastOption) {
+        return;
+    }
+
+    instance.chart.setOption({
+        series: [{ id: '__volume_profile__', data: buildVolumeProfile(instance) }]
+    }, { notMerge: false, lazyUpdate: true });
+}
+
+function buildVolumeProfile(instance) {
+    const range = instance.currentRangeTime ?? getTimeAxisRange(instance);
+    const minTime = range ? Math.min(range.min, range.max) : Number.NEGATIVE_INFINITY;
+    const maxTime = range ? Math.max(range.min, range.max) : Number.POSITIVE_INFINITY;
+    const visible = instance.candleData.filter((candle) => Array.isArray(candle)
+        && Number.isFinite(candle[0]) && candle[0] >= minTime && candle[0] <= maxTime
+        && Number.isFinite(candle[3]) && Number.isFinite(candle[4]));
+    if (visible.length === 0) {
+        return [];
+    }
+
+    let low = Number.POSITIVE_INFINITY;
+    let high = Number.NEGATIVE_INFINITY;
+    for (const candle of visible) {
+        low = Math.min(low, candle[3]);
+        high = Math.max(high, candle[4]);
+    }
+    if (!(high > low)) {
+        return [];
+    }
+
+    const bucketCount = 40;
+    const bucketSize = (high - low) / bucketCount;
+    const volumes = new Array(bucketCount).fill(0);
+    for (const candle of visible) {
+        // Without exchange volume every candle counts once, which turns the profile into time-at-price.
+        const weight = Number.isFinite(candle[5]) && candle[5] > 0 ? candle[5] : 1;
+        const first = Math.min(bucketCount - 1, Math.floor((candle[3] - low) / bucketSize));
+        const last = Math.min(bucketCount - 1, Math.floor((candle[4] - low) / bucketSize));
+        const share = weight / (last - first + 1);
+        for (let i = first; i <= last; i++) {
+            volumes[i] += share;
+        }
+    }
+
+    const total = volumes.reduce((sum, value) => sum + value, 0);
+    let poc = 0;
+    for (let i = 1; i < bucketCount; i++) {
+        if (volumes[i] > volumes[poc]) {
+            poc = i;
+        }
+    }
+
+    // Value area: grow from the point of control toward the heavier neighbour until 70% of volume is covered.
+    let lower = poc;
+    let upper = poc;
+    let covered = volumes[poc];
+    while (covered < total * 0.7 && (lower > 0 || upper < bucketCount - 1)) {
+        const below = lower > 0 ? volumes[lower - 1] : -1;
+        const above = upper < bucketCount - 1 ? volumes[upper + 1] : -1;
+        if (above >= below) {
+            upper++;
+            covered += volumes[upper];
+        } else {
+            lower--;
+            covered += volumes[lower];
         }
     }
 
-    return normalized;
+    const peak = volumes[poc];
+    return volumes.map((volume, i) => [
+        low + i * bucketSize,
+        low + (i + 1) * bucketSize,
+        peak > 0 ? volume / peak : 0,
+        i === poc ? 2 : (i >= lower && i <= upper ? 1 : 0),
+        0
+    ]);
+}
+
+function renderVolumeProfile(params, api) {
+    const from = api.value(0);
+    const to = api.value(1);
+    const share = api.value(2);
+    const kind = api.value(3);
+    const coordSys = params.coordSys;
+    if (!coordSys || !Number.isFinite(from) || !Number.isFinite(to) || !(share > 0)) {
+        return null;
+    }
+
+    const left = api.coord([from, 0])[0];
+    const right = api.coord([to, 0])[0];
+    const height = coordSys.height * 0.3 * share;
+    const fill = kind === 2
+        ? 'rgba(245,158,11,0.30)'
+        : kind === 1
+            ? 'rgba(107,114,128,0.16)'
+            : 'rgba(107,114,128,0.07)';
+
+    return {
+        type: 'rect',
+        shape: {
+            x: Math.min(left, right),
+            y: coordSys.y + coordSys.height - height,
+            width: Math.max(1, Math.abs(right - left) - 1),
+            height
+        },
+        style: { fill },
+        clipPath: {
+            type: 'rect',
+            shape: { x: coordSys.x, y: coordSys.y, width: coordSys.width, height: coordSys.height }
+        }
+    };
 }
 
-function renderTickerCandles(params, api) {
+function renderTickerCandles(instance, params, api) {
     const time = api.value(0);
     const open = api.value(1);
     const close = api.value(2);
@@ -560,7 +3257,7 @@ function renderTickerCandles(params, api) {
         return null;
     }
 
-    const meta = candleMetaBySeries.get(params.seriesId);
+    const meta = instance.candleMeta.get(params.seriesId);
     const bodyHeight = meta?.bodyHeight ?? 6;
     const coordSys = params.coordSys;
     const rawY = api.coord([open, time])[1];
@@ -662,8 +3359,98 @@ function handleLegendToggle(instance, params) {
         return;
     }
 
-    instance.legendSelected = params.selected;
-    applyLegendSelection(instance);
+    // ECharts has already toggled the item; a double-click or alt-click turns that into a solo.
+    const now = performance.now();
+    const last = instance.lastLegendClick;
+    const before = instance.legendSelected ?? {};
+    if (last && last.name === params.name && now - last.time < 350) {
+        instance.lastLegendClick = null;
+        soloLegendItem(instance, params.name, params.selected, last.before);
+        return;
+    }
+
+    instance.lastLegendClick = { name: params.name, time: now, before };
+    if (instance.lastPointerAltKey) {
+        soloLegendItem(instance, params.name, params.selected, before);
+        return;
+    }
+
+    setLegendSelection(instance, params.selected, false);
+}
+
+export function showAllSeries(instanceId) {
+    const instance = instances.get(instanceId);
+    if (!instance) {
+        return;
+    }
+
+    const selected = {};
+    for (const name of getLegendNames(instance)) {
+        selected[name] = true;
+    }
+    setLegendSelection(instance, selected, true);
+}
+
+function getLegendNames(instance) {
+    const data = instance.lastOption?.legend?.data;
+    if (Array.isArray(data)) {
+        return data.map((item) => typeof item === 'string' ? item : item?.name).filter(Boolean);
+    }
+
+    return Object.keys(instance.legendSelected ?? {});
+}
+
+function soloLegendItem(instance, name, selected, before) {
+    const names = Object.keys(selected);
+    // Soloing the item that is already alone brings every strategy back.
+    const wasSolo = names.every((other) => other === name ? before[other] !== false : before[other] === false);
+    const next = {};
+    for (const other of names) {
+        next[other] = wasSolo || other === name;
+    }
+    setLegendSelection(instance, next, true);
+}
+
+function setLegendSelection(instance, selected, syncLegend) {
+    if (syncLegend) {
+        for (const [name, isSelected] of Object.entries(selected)) {
+            instance.chart.dispatchAction({ type: isSelected ? 'legendSelect' : 'legendUnSelect', name });
+        }
+    }
+
+    instance.legendSelected = { ...selected };
+    if (instance.lastOption?.legend && typeof instance.lastOption.legend === 'object') {
+        instance.lastOption.legend.selected = { ...selected };
+    }
+    if (instance.showOverview || instance.probability) {
+        // The overview, density extent and probability stats only count shown strategies, so they need a rebuild.
+        renderOption(instance, instance.lastOption);
+    } else {
+        applyLegendSelection(instance);
+        applyAlerts(instance);
+        if (instance.expectedMove) {
+            applyMarkers(instance);
+        }
+        syncPriceWindow(instance);
+    }
+    instance.dotNetRef.invokeMethodAsync('OnLegendVisibilityChanged', instance.legendSelected);
+}
+
+// .NET only sends legend.selected when its page owns StrategySeries.Visible, and then it wins. Otherwise the legend
+// toggles live here, and every option from .NET gets them put back before it replaces the chart.
+function syncLegendSelected(instance, option) {
+    const legend = option?.legend;
+    if (!legend || typeof legend !== 'object') {
+        return;
+    }
+
+    if (legend.selected && typeof legend.selected === 'object') {
+        instance.legendSelected = { ...legend.selected };
+    } else if (instance.legendSelected) {
+        legend.selected = { ...instance.legendSelected };
+    } else {
+        delete legend.selected;
+    }
 }
 
 function applyLegendSelection(instance) {
@@ -684,7 +3471,17 @@ function applyLegendSelection(instance) {
 }
 
 function handleAxisDragStart(instance, evt) {
+    // The right button belongs to the context menu.
+    if (instance.pinch || evt.event?.button === 2) {
+        return;
+    }
+
     const point = getPoint(evt);
+    if (startAnnotationDrag(instance, point) || startMarkerDrag(instance, point)) {
+        hideMarkerCard(instance);
+        return;
+    }
+
     const mode = getAxisDragMode(instance.chart, point);
     if (!mode) {
         return;
@@ -695,6 +3492,7 @@ function handleAxisDragStart(instance, evt) {
         instance.chart.setOption({ tooltip: { show: false } }, { notMerge: false, lazyUpdate: true });
     }
 
+    beginRangeChange(instance);
     instance.isDragging = false;
     instance.clickState = { start: point, moved: false, mode };
     const anchor = getAxisValueAtPoint(instance.chart, mode, point);
@@ -707,7 +3505,7 @@ function handleAxisDragStart(instance, evt) {
         startRange: {
             x: instance.currentRangeX ?? getVisibleRange(instance.chart, 'x', 0),
             y: instance.currentRangeY ?? getVisibleRange(instance.chart, 'y', 0),
-            time: instance.currentRangeTime ?? getVisibleRange(instance.chart, 'y', 1)
+            time: instance.currentRangeTime ?? getTimeAxisRange(instance)
         },
         rect: getGridRect(instance.chart),
         fixedYRange: null
@@ -717,17 +3515,46 @@ function handleAxisDragStart(instance, evt) {
         instance.axisDrag.fixedYRange = fixed;
         instance.pinnedRangeY = fixed;
     }
+    if (mode === 'overview') {
+        startOverviewDrag(instance, point);
+    }
 }
 
 function handleAxisDragMove(instance, evt) {
     const point = getPoint(evt);
+    if (instance.annotationDrag) {
+        updateAnnotationDrag(instance, point);
+        return;
+    }
+    if (instance.markerDrag) {
+        updateMarkerDrag(instance, point);
+        return;
+    }
+
+    const hovered = findAnnotationAtPoint(instance, point);
+    if (hovered) {
+        hideMarkerCard(instance);
+        instance.chart.getZr().setCursorStyle(getAnnotationCursor(hovered));
+        if (!instance.axisDrag) {
+            return;
+        }
+    }
+
+    const hoveredMarker = instance.axisDrag || hovered ? null : findMarkerAtPoint(instance, point);
+    if (hoveredMarker) {
+        showMarkerCard(instance, hoveredMarker, point);
+        instance.chart.getZr().setCursorStyle(hoveredMarker.draggable ? 'ew-resize' : hoveredMarker.id ? 'pointer' : 'default');
+        return;
+    }
+    hideMarkerCard(instance);
+
     const mode = getAxisDragMode(instance.chart, point);
     instance.chart.getZr().setCursorStyle(
-        mode === 'x'
+        mode === 'x' || mode === 'overview'
             ? 'ew-resize'
             : (mode === 'y' || mode === 'y-time')
                 ? 'ns-resize'
-                : mode === 'plot'
+                : (mode === 'plot' || mode === 'panel')
                     ? 'move'
                     : 'default'
     );
@@ -736,106 +3563,482 @@ function handleAxisDragMove(instance, evt) {
         return;
     }
 
-    const drag = instance.axisDrag;
-    if (!drag.rect || !drag.startRange.x || !drag.startRange.y) {
+    const drag = instance.axisDrag;
+    if (!drag.rect || !drag.startRange.x || !drag.startRange.y) {
+        return;
+    }
+
+    if (drag.mode === 'x') {
+        const deltaPixels = point[0] - drag.startX;
+        // Dragging right/left on the axis expands/contracts by moving the min while keeping max fixed.
+        const zoomed = inPriceScale(instance.logPrice, drag.startRange.x,
+            (range) => stretchRangeFromMax(range, pixelsToValueDelta(range, deltaPixels, drag.rect.width)));
+        applyZoom(instance, 'x', zoomed);
+        instance.currentRangeX = zoomed;
+        instance.rangeOverride = { x: zoomed };
+        broadcastRangeX(instance, zoomed);
+    } else if (drag.mode === 'y') {
+        const deltaPixels = drag.startY - point[1];
+        // Dragging up shrinks the range (max down, min up). Dragging down expands it.
+        const zoomed = scaleRange(drag.startRange.y, -deltaPixels, drag.rect.height, 0.9);
+        instance.chart.setOption({ yAxis: { min: zoomed.min, max: zoomed.max } }, { notMerge: false, lazyUpdate: true });
+        instance.currentRangeY = zoomed;
+        instance.rangeOverride = { y: zoomed };
+    } else if (drag.mode === 'y-time') {
+        const deltaPixels = point[1] - drag.startY;
+        const deltaValue = pixelsToValueDelta(drag.startRange.time, deltaPixels, drag.rect.height);
+        const zoomed = stretchRangeFromMax(drag.startRange.time, deltaValue);
+        const yRange = drag.fixedYRange ?? instance.pinnedRangeY ?? drag.startRange.y ?? getVisibleRange(instance.chart, 'y', 0);
+        instance.pinnedRangeY = yRange ?? instance.pinnedRangeY;
+        instance.chart.setOption({
+            yAxis: [
+                yRange ? { min: yRange.min, max: yRange.max } : {},
+                { min: zoomed.min, max: zoomed.max }
+            ]
+        }, { notMerge: false, lazyUpdate: true });
+        instance.currentRangeTime = zoomed;
+        instance.timeRangeOverride = zoomed;
+        refreshCandleMeta(instance);
+    } else if (drag.mode === 'panel') {
+        const shiftedX = inPriceScale(instance.logPrice, drag.startRange.x,
+            (range) => shiftRange(range, -pixelsToValueDelta(range, point[0] - drag.startX, drag.rect.width)));
+        applyZoom(instance, 'x', shiftedX);
+        instance.currentRangeX = shiftedX;
+        instance.rangeOverride = { x: shiftedX };
+        broadcastRangeX(instance, shiftedX);
+    } else if (drag.mode === 'overview' && drag.overview) {
+        const { rect, part } = drag.overview;
+        // The extent and the window must share a scale, so either one reaching zero keeps both linear.
+        const logScale = usesLogScale(instance.logPrice, drag.overview.extent, drag.startRange.x);
+        const extent = toPriceScale(logScale, drag.overview.extent);
+        const span = extent.max - extent.min;
+        const delta = (point[0] - drag.startX) / rect.width * span;
+        const start = toPriceScale(logScale, drag.startRange.x);
+        const minSpan = span * 0.01;
+        const next = fromPriceScale(logScale, part === 'min'
+            ? { min: Math.min(start.min + delta, start.max - minSpan), max: start.max }
+            : part === 'max'
+                ? { min: start.min, max: Math.max(start.max + delta, start.min + minSpan) }
+                : shiftRange(start, delta));
+        applyZoom(instance, 'x', next);
+        instance.currentRangeX = next;
+        instance.rangeOverride = { x: next };
+        broadcastRangeX(instance, next);
+    } else if (drag.mode === 'plot') {
+        const deltaPixelsX = point[0] - drag.startX;
+        const deltaPixelsY = drag.startY - point[1];
+        const deltaY = -pixelsToValueDelta(drag.startRange.y, deltaPixelsY, drag.rect.height);
+        const shiftedX = inPriceScale(instance.logPrice, drag.startRange.x,
+            (range) => shiftRange(range, -pixelsToValueDelta(range, deltaPixelsX, drag.rect.width)));
+        const shiftedY = shiftRange(drag.startRange.y, deltaY);
+        applyZoom(instance, 'x', shiftedX);
+        instance.chart.setOption({ yAxis: { min: shiftedY.min, max: shiftedY.max } }, { notMerge: false, lazyUpdate: true });
+        instance.currentRangeX = shiftedX;
+        instance.currentRangeY = shiftedY;
+        instance.rangeOverride = { x: shiftedX, y: shiftedY };
+        broadcastRangeX(instance, shiftedX);
+    }
+
+    if (instance.clickState && !instance.clickState.moved) {
+        const dx = point[0] - instance.clickState.start[0];
+        const dy = point[1] - instance.clickState.start[1];
+        if (Math.hypot(dx, dy) > 4) {
+            instance.clickState.moved = true;
+            instance.isDragging = true;
+        }
+    }
+}
+
+function handleAxisDragEnd(instance) {
+    if (instance.annotationDrag) {
+        endAnnotationDrag(instance);
+        return;
+    }
+    if (instance.markerDrag) {
+        endMarkerDrag(instance);
+        applyMarkers(instance);
+        return;
+    }
+    if (instance.axisDrag && (instance.rangeOverride || instance.timeRangeOverride)) {
+        instance.currentRangeX = getVisibleRange(instance.chart, 'x', 0);
+        if (instance.timeRangeOverride && !instance.rangeOverride && instance.axisDrag?.fixedYRange) {
+            instance.currentRangeY = instance.axisDrag.fixedYRange;
+        } else {
+            instance.currentRangeY = getVisibleRange(instance.chart, 'y', 0);
+        }
+        instance.currentRangeTime = getTimeAxisRange(instance);
+        instance.preserveRange = true;
+    if (instance.currentRangeX || instance.currentRangeY || instance.currentRangeTime) {
+        const hasTimeAxis = optionHasTimeAxis(instance.lastOption);
+        const yAxisOption = hasTimeAxis && instance.currentRangeTime
+            ? [
+                { min: instance.currentRangeY?.min, max: instance.currentRangeY?.max },
+                { min: instance.currentRangeTime.min, max: instance.currentRangeTime.max }
+            ]
+            : { min: instance.currentRangeY?.min, max: instance.currentRangeY?.max };
+        instance.chart.setOption({
+            xAxis: instance.currentRangeX ? getXAxisRangeOption(instance, instance.currentRangeX) : {},
+            yAxis: yAxisOption,
+             
+        }, { notMerge: false, lazyUpdate: true });
+    }
+        recordRangeHistory(instance);
+        emitRangeChanged(instance);
+    }
+    if (instance.axisDrag) {
+        instance.pendingHistoryView = null;
+    }
+    if (instance.clickState?.moved || instance.isDragging) {
+        instance.suppressClickUntil = performance.now() + 250;
+    }
+    instance.axisDrag = null;
+    instance.clickState = null;
+    instance.isDragging = false;
+    instance.pinnedRangeY = null;
+    instance.chart.getZr().setCursorStyle('default');
+
+    if (instance.tooltipHidden) {
+        instance.tooltipHidden = false;
+        instance.chart.setOption({ tooltip: { show: true } }, { notMerge: false, lazyUpdate: true });
+    }
+
+    refreshCandleMeta(instance);
+}
+
+
+function handleWheel(instance, evt) {
+    if (instance.axisDrag || instance.pinch) {
+        return;
+    }
+
+    const bounds = instance.chart.getDom().getBoundingClientRect();
+    const point = [evt.clientX - bounds.left, evt.clientY - bounds.top];
+    const mode = getAxisDragMode(instance.chart, point);
+    const rect = getGridRect(instance.chart);
+    if (!mode || !rect) {
+        return;
+    }
+
+    evt.preventDefault();
+    const factor = getWheelZoomFactor(evt);
+    if (!Number.isFinite(factor) || factor === 1) {
+        return;
+    }
+
+    beginRangeChange(instance);
+    const axes = getZoomAxes(instance, mode, evt.shiftKey);
+    const ranges = {};
+    for (const axis of axes) {
+        const range = getCurrentRange(instance, axis);
+        if (!range) {
+            continue;
+        }
+
+        const fraction = mode === 'overview' && axis === 'x'
+            ? getOverviewAnchorFraction(instance, range, point) ?? getAxisFraction(rect, axis, point)
+            : getAxisFraction(rect, axis, point);
+        ranges[axis] = axis === 'x'
+            ? inPriceScale(instance.logPrice, range, (scaled) => zoomRangeAtFraction(scaled, factor, fraction, fraction))
+            : zoomRangeAtFraction(range, factor, fraction, fraction);
+    }
+
+    applyRanges(instance, ranges);
+    scheduleRangeCommit(instance);
+}
+
+// The strip spans the whole overview extent, so the price under the pointer is read there and anchored in the main window.
+function getOverviewAnchorFraction(instance, range, point) {
+    const rect = getOverviewRect(instance.chart);
+    const extent = instance.overviewExtent;
+    if (!rect || !extent || extent.max <= extent.min) {
+        return null;
+    }
+
+    const logScale = usesLogScale(instance.logPrice, extent);
+    const scaledExtent = toPriceScale(logScale, extent);
+    const fraction = Math.min(1, Math.max(0, (point[0] - rect.x) / rect.width));
+    const scaled = scaledExtent.min + fraction * (scaledExtent.max - scaledExtent.min);
+    return getPriceFraction(instance, range, logScale ? Math.exp(scaled) : scaled);
+}
+
+function getWheelZoomFactor(evt) {
+    const delta = Math.abs(evt.deltaY) >= Math.abs(evt.deltaX) ? evt.deltaY : evt.deltaX;
+    const pixels = evt.deltaMode === 1 ? delta * 16 : evt.deltaMode === 2 ? delta * 400 : delta;
+    // Trackpad pinch arrives as ctrl+wheel with small deltas, so it needs a stronger response.
+    const strength = evt.ctrlKey ? 0.01 : 0.0015;
+    return Math.min(2, Math.max(0.5, Math.exp(pixels * strength)));
+}
+
+function getZoomAxes(instance, mode, yOnly) {
+    if (mode === 'x') {
+        return ['x'];
+    }
+
+    if (mode === 'y') {
+        return ['y'];
+    }
+
+    if (mode === 'y-time') {
+        return ['time'];
+    }
+
+    if (mode === 'panel' || mode === 'overview') {
+        return ['x'];
+    }
+
+    if (instance.zoomAxesLocked) {
+        return ['x', 'y'];
+    }
+
+    return yOnly ? ['y'] : ['x'];
+}
+
+function getCurrentRange(instance, axis) {
+    const range = axis === 'x'
+        ? instance.currentRangeX ?? getVisibleRange(instance.chart, 'x', 0)
+        : axis === 'y'
+            ? instance.currentRangeY ?? getVisibleRange(instance.chart, 'y', 0)
+            : instance.currentRangeTime ?? getTimeAxisRange(instance);
+    if (!range || !Number.isFinite(range.min) || !Number.isFinite(range.max) || range.max <= range.min) {
+        return null;
+    }
+
+    return range;
+}
+
+function getAxisFraction(rect, axis, point) {
+    let fraction;
+    if (axis === 'x') {
+        fraction = (point[0] - rect.x) / rect.width;
+    } else if (axis === 'y') {
+        fraction = (rect.y + rect.height - point[1]) / rect.height;
+    } else {
+        // The time axis is inverted, so its minimum sits at the top of the grid.
+        fraction = (point[1] - rect.y) / rect.height;
+    }
+
+    return Math.min(1, Math.max(0, fraction));
+}
+
+function zoomRangeAtFraction(range, factor, fromFraction, toFraction) {
+    const span = range.max - range.min;
+    const anchor = range.min + span * fromFraction;
+    const newSpan = span * factor;
+    if (!Number.isFinite(newSpan) || newSpan <= 1e-6) {
+        return range;
+    }
+
+    // The value under the cursor (or pinch midpoint) stays under it after zooming.
+    const min = anchor - newSpan * toFraction;
+    return { min, max: min + newSpan };
+}
+
+function applyRanges(instance, ranges, fromLink = false) {
+    const option = {};
+    if (ranges.x) {
+        instance.currentRangeX = ranges.x;
+        option.xAxis = getXAxisRangeOption(instance, ranges.x);
+    }
+
+    if (ranges.y) {
+        instance.currentRangeY = ranges.y;
+    }
+
+    if (ranges.time) {
+        instance.currentRangeTime = ranges.time;
+    }
+
+    const hasTimeAxis = optionHasTimeAxis(instance.lastOption);
+    if (hasTimeAxis && (ranges.y || ranges.time)) {
+        option.yAxis = [
+            ranges.y ? { min: ranges.y.min, max: ranges.y.max } : {},
+            ranges.time ? { min: ranges.time.min, max: ranges.time.max } : {}
+        ];
+    } else if (ranges.y) {
+        option.yAxis = { min: ranges.y.min, max: ranges.y.max };
+    }
+
+    if (!option.xAxis && !option.yAxis) {
+        return;
+    }
+
+    instance.chart.setOption(option, { notMerge: false, lazyUpdate: true });
+    if (ranges.time) {
+        refreshCandleMeta(instance);
+    }
+    if (ranges.x) {
+        syncPriceWindow(instance);
+    }
+    if (ranges.x && !fromLink) {
+        broadcastRangeX(instance, ranges.x);
+    }
+}
+
+function scheduleRangeCommit(instance) {
+    clearTimeout(instance.rangeTimer);
+    // Wheel events arrive in bursts; report the view once the gesture settles.
+    instance.rangeTimer = setTimeout(() => {
+        instance.rangeTimer = null;
+        commitRangeChange(instance);
+    }, 200);
+}
+
+function commitRangeChange(instance) {
+    clearTimeout(instance.rangeTimer);
+    instance.rangeTimer = null;
+    instance.preserveRange = true;
+    refreshCandleMeta(instance);
+    recordRangeHistory(instance);
+    emitRangeChanged(instance);
+}
+
+function getRangeView(instance) {
+    return {
+        x: getCurrentRange(instance, 'x'),
+        y: getCurrentRange(instance, 'y'),
+        time: getCurrentRange(instance, 'time')
+    };
+}
+
+function isSameRangeView(a, b) {
+    const same = (left, right) => (!left && !right)
+        || (Boolean(left) && Boolean(right) && left.min === right.min && left.max === right.max);
+    return same(a.x, b.x) && same(a.y, b.y) && same(a.time, b.time);
+}
+
+function beginRangeChange(instance) {
+    // Remember the view a gesture started from; it becomes the undo entry once the gesture commits.
+    if (!instance.pendingHistoryView) {
+        instance.pendingHistoryView = getRangeView(instance);
+    }
+}
+
+function recordRangeHistory(instance) {
+    const previous = instance.pendingHistoryView;
+    instance.pendingHistoryView = null;
+    if (!previous || isSameRangeView(previous, getRangeView(instance))) {
         return;
     }
 
-    if (drag.mode === 'x') {
-        const deltaPixels = point[0] - drag.startX;
-        const deltaValue = pixelsToValueDelta(drag.startRange.x, deltaPixels, drag.rect.width);
-        // Dragging right/left on the axis expands/contracts by moving the min while keeping max fixed.
-        const zoomed = stretchRangeFromMax(drag.startRange.x, deltaValue);
-        applyZoom(instance.chart, 'x', 0, zoomed);
-        instance.currentRangeX = zoomed;
-        instance.rangeOverride = { x: zoomed };
-    } else if (drag.mode === 'y') {
-        const deltaPixels = drag.startY - point[1];
-        // Dragging up shrinks the range (max down, min up). Dragging down expands it.
-        const zoomed = scaleRange(drag.startRange.y, -deltaPixels, drag.rect.height, 0.9);
-        instance.chart.setOption({ yAxis: { min: zoomed.min, max: zoomed.max } }, { notMerge: false, lazyUpdate: true });
-        instance.currentRangeY = zoomed;
-        instance.rangeOverride = { y: zoomed };
-    } else if (drag.mode === 'y-time') {
-        const deltaPixels = point[1] - drag.startY;
-        const deltaValue = pixelsToValueDelta(drag.startRange.time, deltaPixels, drag.rect.height);
-        const zoomed = stretchRangeFromMax(drag.startRange.time, deltaValue);
-        const yRange = drag.fixedYRange ?? instance.pinnedRangeY ?? drag.startRange.y ?? getVisibleRange(instance.chart, 'y', 0);
-        instance.pinnedRangeY = yRange ?? instance.pinnedRangeY;
-        instance.chart.setOption({
-            yAxis: [
-                yRange ? { min: yRange.min, max: yRange.max } : {},
-                { min: zoomed.min, max: zoomed.max }
-            ]
-        }, { notMerge: false, lazyUpdate: true });
-        instance.currentRangeTime = zoomed;
-        instance.timeRangeOverride = zoomed;
-        refreshCandleMeta(instance);
-    } else if (drag.mode === 'plot') {
-        const deltaPixelsX = point[0] - drag.startX;
-        const deltaPixelsY = drag.startY - point[1];
-        const deltaX = -pixelsToValueDelta(drag.startRange.x, deltaPixelsX, drag.rect.width);
-        const deltaY = -pixelsToValueDelta(drag.startRange.y, deltaPixelsY, drag.rect.height);
-        const shiftedX = shiftRange(drag.startRange.x, deltaX);
-        const shiftedY = shiftRange(drag.startRange.y, deltaY);
-        applyZoom(instance.chart, 'x', 0, shiftedX);
-        instance.chart.setOption({ yAxis: { min: shiftedY.min, max: shiftedY.max } }, { notMerge: false, lazyUpdate: true });
-        instance.currentRangeX = shiftedX;
-        instance.currentRangeY = shiftedY;
-        instance.rangeOverride = { x: shiftedX, y: shiftedY };
+    instance.rangeUndo.push(previous);
+    if (instance.rangeUndo.length > 50) {
+        instance.rangeUndo.shift();
     }
+    instance.rangeRedo = [];
+}
 
-    if (instance.clickState && !instance.clickState.moved) {
-        const dx = point[0] - instance.clickState.start[0];
-        const dy = point[1] - instance.clickState.start[1];
-        if (Math.hypot(dx, dy) > 4) {
-            instance.clickState.moved = true;
-            instance.isDragging = true;
-        }
+function stepRangeHistory(instance, from, to) {
+    const view = from.pop();
+    if (!view) {
+        return false;
     }
+
+    clearTimeout(instance.rangeTimer);
+    instance.rangeTimer = null;
+    instance.pendingHistoryView = null;
+    to.push(getRangeView(instance));
+    applyRanges(instance, view);
+    instance.preserveRange = true;
+    refreshCandleMeta(instance);
+    emitRangeChanged(instance);
+    return true;
 }
 
-function handleAxisDragEnd(instance) {
-    if (instance.axisDrag && (instance.rangeOverride || instance.timeRangeOverride)) {
-        instance.currentRangeX = getVisibleRange(instance.chart, 'x', 0);
-        if (instance.timeRangeOverride && !instance.rangeOverride && instance.axisDrag?.fixedYRange) {
-            instance.currentRangeY = instance.axisDrag.fixedYRange;
-        } else {
-            instance.currentRangeY = getVisibleRange(instance.chart, 'y', 0);
-        }
-        instance.currentRangeTime = getVisibleRange(instance.chart, 'y', 1);
-        instance.preserveRange = true;
-    if (instance.currentRangeX || instance.currentRangeY || instance.currentRangeTime) {
-        const hasTimeAxis = Array.isArray(instance.lastOption?.yAxis) && instance.lastOption.yAxis.length > 1;
-        const yAxisOption = hasTimeAxis && instance.currentRangeTime
-            ? [
-                { min: instance.currentRangeY?.min, max: instance.currentRangeY?.max },
-                { min: instance.currentRangeTime.min, max: instance.currentRangeTime.max }
-            ]
-            : { min: instance.currentRangeY?.min, max: instance.currentRangeY?.max };
-        instance.chart.setOption({
-            xAxis: instance.currentRangeX ? { min: instance.currentRangeX.min, max: instance.currentRangeX.max } : {},
-            yAxis: yAxisOption,
-             
-        }, { notMerge: false, lazyUpdate: true });
+function startPinch(instance) {
+    clearTimeout(instance.longPressTimer);
+    if (instance.inspecting) {
+        endInspect(instance);
     }
-        emitRangeChanged(instance);
+
+    const points = Array.from(instance.touchPointers.values());
+    const rect = getGridRect(instance.chart);
+    if (points.length < 2 || !rect) {
+        return;
     }
-    if (instance.clickState?.moved || instance.isDragging) {
-        instance.suppressClickUntil = performance.now() + 250;
+
+    const midpoint = getMidpoint(points[0], points[1]);
+    const mode = getAxisDragMode(instance.chart, midpoint);
+    if (!mode) {
+        return;
     }
+
+    // A second finger turns the single-finger drag into a pinch; drop the drag without selecting a price.
     instance.axisDrag = null;
     instance.clickState = null;
+    instance.pointerClick = null;
+    instance.pointerDragActive = false;
+    instance.isDragging = true;
+    beginRangeChange(instance);
+    instance.pinch = {
+        axes: getZoomAxes(instance, mode, false),
+        rect,
+        startPoints: points.slice(0, 2),
+        startMidpoint: midpoint,
+        startRanges: {
+            x: getCurrentRange(instance, 'x'),
+            y: getCurrentRange(instance, 'y'),
+            time: getCurrentRange(instance, 'time')
+        }
+    };
+}
+
+function updatePinch(instance) {
+    const pinch = instance.pinch;
+    const points = Array.from(instance.touchPointers.values());
+    if (!pinch || points.length < 2) {
+        return;
+    }
+
+    const [startA, startB] = pinch.startPoints;
+    const [a, b] = points;
+    const midpoint = getMidpoint(a, b);
+    const locked = instance.zoomAxesLocked || pinch.axes.length === 1;
+    const uniform = getPinchFactor(Math.hypot(startA[0] - startB[0], startA[1] - startB[1]), Math.hypot(a[0] - b[0], a[1] - b[1]));
+    const factors = {
+        x: locked ? uniform : getPinchFactor(Math.abs(startA[0] - startB[0]), Math.abs(a[0] - b[0])),
+        y: locked ? uniform : getPinchFactor(Math.abs(startA[1] - startB[1]), Math.abs(a[1] - b[1]))
+    };
+    factors.time = factors.y;
+
+    const ranges = {};
+    for (const axis of pinch.axes) {
+        const range = pinch.startRanges[axis];
+        if (!range) {
+            continue;
+        }
+
+        const from = getAxisFraction(pinch.rect, axis, pinch.startMidpoint);
+        const to = getAxisFraction(pinch.rect, axis, midpoint);
+        ranges[axis] = axis === 'x'
+            ? inPriceScale(instance.logPrice, range, (scaled) => zoomRangeAtFraction(scaled, factors[axis], from, to))
+            : zoomRangeAtFraction(range, factors[axis], from, to);
+    }
+
+    applyRanges(instance, ranges);
+}
+
+function endPinch(instance) {
+    if (!instance.pinch) {
+        return;
+    }
+
+    instance.pinch = null;
     instance.isDragging = false;
-    instance.pinnedRangeY = null;
-    instance.chart.getZr().setCursorStyle('default');
+    instance.suppressClickUntil = performance.now() + 250;
+    commitRangeChange(instance);
+}
 
-    if (instance.tooltipHidden) {
-        instance.tooltipHidden = false;
-        instance.chart.setOption({ tooltip: { show: true } }, { notMerge: false, lazyUpdate: true });
+function getPinchFactor(startDistance, currentDistance) {
+    // Fingers nearly aligned on one axis give no usable separation for that axis.
+    if (startDistance < 20 || currentDistance < 20) {
+        return 1;
     }
 
-    refreshCandleMeta(instance);
+    return Math.min(5, Math.max(0.2, startDistance / currentDistance));
+}
+
+function getMidpoint(a, b) {
+    return [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
 }
 
 
@@ -852,6 +4055,24 @@ function getAxisDragMode(chart, point) {
     }
 
     const [x, y] = point;
+    const overviewRect = getOverviewRect(chart);
+    if (overviewRect && x >= overviewRect.x && x <= overviewRect.x + overviewRect.width && y >= overviewRect.y && y <= overviewRect.y + overviewRect.height) {
+        return 'overview';
+    }
+
+    // The x-axis band reaches into the gap above the first Greek panel, so panels are matched first.
+    for (let index = 1; ; index++) {
+        const grid = chart.getModel().getComponent('grid', index);
+        if (!grid) {
+            break;
+        }
+
+        const panelRect = grid.id === '__overview_grid__' ? null : getGridRect(chart, index);
+        if (panelRect && x >= panelRect.x && x <= panelRect.x + panelRect.width && y >= panelRect.y && y <= panelRect.y + panelRect.height) {
+            return 'panel';
+        }
+    }
+
     const axisBandX = { min: rect.x, max: rect.x + rect.width, top: rect.y + rect.height - 6, bottom: rect.y + rect.height + 36 };
     const axisBandY = { min: rect.y, max: rect.y + rect.height, left: rect.x - 44, right: rect.x + 6 };
     const axisBandYRight = { min: rect.y, max: rect.y + rect.height, left: rect.x + rect.width - 6, right: rect.x + rect.width + 54 };
@@ -875,8 +4096,8 @@ function getAxisDragMode(chart, point) {
     return null;
 }
 
-function getGridRect(chart) {
-    const grid = chart.getModel().getComponent('grid', 0);
+function getGridRect(chart, index = 0) {
+    const grid = chart.getModel().getComponent('grid', index);
     const coord = grid?.coordinateSystem;
     if (!coord || typeof coord.getRect !== 'function') {
         return null;
@@ -959,18 +4180,55 @@ function pixelsToValueDelta(range, deltaPixels, sizePixels) {
     return (deltaPixels / sizePixels) * span;
 }
 
-function applyZoom(chart, axis, axisIndex, range) {
+function applyZoom(instance, axis, range) {
     if (!Number.isFinite(range.min) || !Number.isFinite(range.max)) {
         return;
     }
 
     if (axis === 'x') {
-        chart.setOption({ xAxis: { min: range.min, max: range.max } }, { notMerge: false, lazyUpdate: true });
+        instance.chart.setOption({ xAxis: getXAxisRangeOption(instance, range) }, { notMerge: false, lazyUpdate: true });
+        syncPriceWindow(instance);
     } else {
-        chart.setOption({ yAxis: { min: range.min, max: range.max } }, { notMerge: false, lazyUpdate: true });
+        instance.chart.setOption({ yAxis: { min: range.min, max: range.max } }, { notMerge: false, lazyUpdate: true });
+    }
+}
+
+function getXAxisRangeOption(instance, range) {
+    // A log axis rejects non-positive bounds; leaving one open lets ECharts fit that side to the data.
+    const bounds = instance.logPrice
+        ? { min: range.min > 0 ? range.min : null, max: range.max > 0 ? range.max : null }
+        : { min: range.min, max: range.max };
+    // Greek panels carry their own x axes; every grid except the overview strip follows the payoff price range.
+    if (!Array.isArray(instance.lastOption?.xAxis) || instance.lastOption.xAxis.length <= 1) {
+        return bounds;
+    }
+
+    return instance.lastOption.xAxis.map((axis) => isOverviewComponent(axis) ? {} : bounds);
+}
+
+function applyPriceScale(option, instance) {
+    // Every x axis in the chart is a price axis (payoff, Greek panels, overview), so they switch together.
+    const xAxes = Array.isArray(option.xAxis) ? option.xAxis : (option.xAxis ? [option.xAxis] : []);
+    for (const axis of xAxes) {
+        axis.type = instance?.logPrice ? 'log' : 'value';
+        if (instance?.logPrice) {
+            axis.logBase = 10;
+            for (const key of ['min', 'max']) {
+                if (Number.isFinite(axis[key]) && axis[key] <= 0) {
+                    axis[key] = null;
+                }
+            }
+        }
     }
 }
 
+function getPriceFraction(instance, range, price) {
+    const logScale = usesLogScale(instance.logPrice, range);
+    const scaled = toPriceScale(logScale, range);
+    const value = logScale && price > 0 ? Math.log(price) : price;
+    return (value - scaled.min) / (scaled.max - scaled.min);
+}
+
 function syncAxisRanges(instance, option) {
     if (!instance || !option) {
         return;
@@ -990,7 +4248,7 @@ function syncAxisRanges(instance, option) {
         instance.currentRangeY = { min: yAxis.min, max: yAxis.max };
     }
 
-    const timeAxis = Array.isArray(option.yAxis) && option.yAxis.length > 1 ? option.yAxis[1] : null;
+    const timeAxis = optionHasTimeAxis(option) ? option.yAxis[1] : null;
     if (timeAxis && Number.isFinite(timeAxis.min) && Number.isFinite(timeAxis.max)) {
         instance.currentRangeTime = { min: timeAxis.min, max: timeAxis.max };
     } else {
@@ -1004,8 +4262,11 @@ function refreshCandleMetaFromOption(instance, option) {
     }
 
     const candleSeries = option.series.find((s) => s && s.id === '__ticker_candles__');
+    const baseData = candleSeries?.baseData ?? candleSeries?.data;
+    instance.candleData = Array.isArray(baseData) ? baseData : [];
     if (!candleSeries || !Array.isArray(candleSeries.data)) {
-        candleMetaBySeries.delete('__ticker_candles__');
+        instance.candleMeta.delete('__ticker_candles__');
+        refreshVolumeProfile(instance);
         return;
     }
 
@@ -1017,9 +4278,12 @@ function refreshCandleMeta(instance, candleData) {
         return;
     }
 
-    const hasTimeAxis = Array.isArray(instance.lastOption?.yAxis) && instance.lastOption.yAxis.length > 1;
+    // Anything that resizes candle bodies also changes which candles are visible.
+    refreshVolumeProfile(instance);
+
+    const hasTimeAxis = optionHasTimeAxis(instance.lastOption);
     if (!hasTimeAxis) {
-        candleMetaBySeries.delete('__ticker_candles__');
+        instance.candleMeta.delete('__ticker_candles__');
         return;
     }
 
@@ -1027,11 +4291,11 @@ function refreshCandleMeta(instance, candleData) {
         ? candleData
         : (instance.lastOption?.series?.find((s) => s && s.id === '__ticker_candles__')?.data ?? []);
     if (!Array.isArray(data) || data.length === 0) {
-        candleMetaBySeries.delete('__ticker_candles__');
+        instance.candleMeta.delete('__ticker_candles__');
         return;
     }
 
-    const range = instance.currentRangeTime ?? getVisibleRange(instance.chart, 'y', 1);
+    const range = instance.currentRangeTime ?? getTimeAxisRange(instance);
     if (!range || !Number.isFinite(range.min) || !Number.isFinite(range.max)) {
         return;
     }
@@ -1053,7 +4317,7 @@ function refreshCandleMeta(instance, candleData) {
 
     const spacing = rect.height / Math.max(1, visibleCount);
     const bodyHeight = Math.max(2, Math.min(12, spacing * 0.6));
-    candleMetaBySeries.set('__ticker_candles__', { bodyHeight });
+    instance.candleMeta.set('__ticker_candles__', { bodyHeight });
 }
 
 function selectPriceAtPoint(instance, point) {
@@ -1065,7 +4329,11 @@ function selectPriceAtPoint(instance, point) {
     }
 
     const rect = getGridRect(instance.chart);
-    if (!rect || point[0] < rect.x || point[0] > rect.x + rect.width || point[1] < rect.y || point[1] > rect.y + rect.height) {
+    const inPlot = rect && point[0] >= rect.x && point[0] <= rect.x + rect.width && point[1] >= rect.y && point[1] <= rect.y + rect.height;
+    if (inPlot && (handleMarkerClick(instance, point) || handleAnnotationClick(instance, point))) {
+        return;
+    }
+    if (!inPlot && getAxisDragMode(instance.chart, point) !== 'panel') {
         return;
     }
 
@@ -1077,14 +4345,140 @@ function selectPriceAtPoint(instance, point) {
         xValue = Array.isArray(axisValue) ? axisValue[0] : axisValue;
     }
     if (Number.isFinite(xValue)) {
-        instance.selectedPrice = xValue;
-        applyMarkers(instance);
-        instance.dotNetRef.invokeMethodAsync('OnChartClick', xValue);
+        selectPrice(instance, xValue);
+    }
+}
+
+function selectPrice(instance, price) {
+    for (const target of [instance, ...getLinkedPeers(instance)]) {
+        target.selectedPrice = price;
+        applyMarkers(target);
+        watchAlerts(target, 'selected', price);
+        target.dotNetRef.invokeMethodAsync('OnChartClick', price);
+    }
+}
+
+function handleKeyDown(instance, evt) {
+    if (evt.ctrlKey || evt.metaKey) {
+        handleHistoryShortcut(instance, evt);
+        return;
+    }
+    if (evt.altKey) {
+        return;
+    }
+
+    switch (evt.key) {
+        case 'ArrowLeft':
+        case 'ArrowDown':
+            stepSelectedPrice(instance, evt.shiftKey ? -instance.largeStepMultiplier : -1);
+            break;
+        case 'ArrowRight':
+        case 'ArrowUp':
+            stepSelectedPrice(instance, evt.shiftKey ? instance.largeStepMultiplier : 1);
+            break;
+        case '+':
+        case '=':
+            zoomPriceAxis(instance, 0.8);
+            break;
+        case '-':
+        case '_':
+            zoomPriceAxis(instance, 1.25);
+            break;
+        case 'Home':
+            requestAutoScaleReset(instance);
+            break;
+        case 'Delete':
+        case 'Backspace':
+            if (!removeAnnotation(instance, instance.activeAnnotationId)) {
+                return;
+            }
+            break;
+        case 'Escape':
+            if (!instance.activeAnnotationId) {
+                return;
+            }
+            instance.activeAnnotationId = null;
+            applyAnnotations(instance);
+            break;
+        default:
+            return;
+    }
+
+    evt.preventDefault();
+}
+
+function handleHistoryShortcut(instance, evt) {
+    const key = evt.key.toLowerCase();
+    if (key === 'z' && !evt.shiftKey) {
+        stepRangeHistory(instance, instance.rangeUndo, instance.rangeRedo);
+    } else if ((key === 'z' && evt.shiftKey) || key === 'y') {
+        stepRangeHistory(instance, instance.rangeRedo, instance.rangeUndo);
+    } else {
+        return;
+    }
+
+    evt.preventDefault();
+}
+
+function stepSelectedPrice(instance, steps) {
+    const range = getCurrentRange(instance, 'x');
+    const step = instance.priceStep ?? (range ? getNiceStep((range.max - range.min) / 100) : null);
+    if (!Number.isFinite(step) || step <= 0) {
+        return;
+    }
+
+    const current = Number.isFinite(instance.selectedPrice)
+        ? instance.selectedPrice
+        : range ? (range.min + range.max) / 2 : null;
+    if (!Number.isFinite(current)) {
+        return;
+    }
+
+    // Snap to the tick grid so repeated steps land on round prices.
+    const next = (Math.round(current / step) + steps) * step;
+    selectPrice(instance, Number(next.toFixed(10)));
+}
+
+function zoomPriceAxis(instance, factor) {
+    const range = getCurrentRange(instance, 'x');
+    if (!range) {
+        return;
+    }
+
+    const selected = instance.selectedPrice;
+    const fraction = Number.isFinite(selected) && selected >= range.min && selected <= range.max
+        ? getPriceFraction(instance, range, selected)
+        : 0.5;
+    beginRangeChange(instance);
+    applyRanges(instance, { x: inPriceScale(instance.logPrice, range, (scaled) => zoomRangeAtFraction(scaled, factor, fraction, fraction)) });
+    scheduleRangeCommit(instance);
+}
+
+function getNiceStep(rawStep) {
+    if (!Number.isFinite(rawStep) || rawStep <= 0) {
+        return null;
     }
+
+    const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+    const normalized = rawStep / magnitude;
+    const nice = normalized < 1.5 ? 1 : normalized < 3.5 ? 2 : normalized < 7.5 ? 5 : 10;
+    return nice * magnitude;
 }
 
 function handlePointerDown(instance, evt) {
-    if (!instance || instance.isDragging) {
+    if (!instance) {
+        return;
+    }
+    instance.lastPointerAltKey = evt.altKey === true;
+    if (evt.pointerType !== 'mouse') {
+        const bounds = instance.chart.getDom().getBoundingClientRect();
+        instance.touchPointers.set(evt.pointerId, [evt.clientX - bounds.left, evt.clientY - bounds.top]);
+        if (instance.touchPointers.size === 2) {
+            startPinch(instance);
+            return;
+        }
+    }
+    if (instance.isDragging || instance.pinch) {
         return;
     }
     if (evt.pointerType === 'mouse') {
@@ -1099,9 +4493,19 @@ function handlePointerDown(instance, evt) {
     };
     instance.pointerDragActive = true;
     handleAxisDragStart(instance, { offsetX: point[0], offsetY: point[1] });
+    clearTimeout(instance.longPressTimer);
+    instance.longPressTimer = setTimeout(() => startInspect(instance, point), 500);
 }
 
 function handlePointerMove(instance, evt) {
+    if (instance?.touchPointers.has(evt.pointerId)) {
+        const bounds = instance.chart.getDom().getBoundingClientRect();
+        instance.touchPointers.set(evt.pointerId, [evt.clientX - bounds.left, evt.clientY - bounds.top]);
+        if (instance.pinch) {
+            updatePinch(instance);
+            return;
+        }
+    }
     if (!instance || !instance.pointerClick) {
         return;
     }
@@ -1116,6 +4520,12 @@ function handlePointerMove(instance, evt) {
     const dy = y - instance.pointerClick.start[1];
     if (Math.hypot(dx, dy) > 4) {
         instance.pointerClick.moved = true;
+        clearTimeout(instance.longPressTimer);
+    }
+
+    if (instance.inspecting) {
+        updateInspect(instance, [x, y]);
+        return;
     }
 
     if (instance.pointerDragActive) {
@@ -1124,6 +4534,13 @@ function handlePointerMove(instance, evt) {
 }
 
 function handlePointerUp(instance, evt) {
+    instance?.touchPointers.delete(evt.pointerId);
+    if (instance?.pinch) {
+        if (instance.touchPointers.size < 2) {
+            endPinch(instance);
+        }
+        return;
+    }
     if (!instance || !instance.pointerClick) {
         instance.pointerClick = null;
         return;
@@ -1133,6 +4550,18 @@ function handlePointerUp(instance, evt) {
         return;
     }
 
+    clearTimeout(instance.longPressTimer);
+    if (instance.inspecting) {
+        // A long press released where it started is the touch right-click; one that slid was only inspecting.
+        const menuPoint = instance.pointerClick.moved ? null : instance.pointerClick.start;
+        endInspect(instance);
+        instance.pointerClick = null;
+        if (menuPoint) {
+            openContextMenu(instance, menuPoint);
+        }
+        return;
+    }
+
     if (instance.pointerDragActive) {
         handleAxisDragEnd(instance);
         instance.pointerDragActive = false;
@@ -1145,6 +4574,180 @@ function handlePointerUp(instance, evt) {
 
     const rect = instance.chart.getDom().getBoundingClientRect();
     const point = [evt.clientX - rect.left, evt.clientY - rect.top];
-    selectPriceAtPoint(instance, point);
     instance.pointerClick = null;
+    const now = performance.now();
+    const lastTap = instance.lastTap;
+    if (lastTap && now - lastTap.time < 300 && Math.hypot(point[0] - lastTap.point[0], point[1] - lastTap.point[1]) < 24) {
+        // The first tap already selected the price; the second one only resets the scale, so its clicks are dropped.
+        instance.lastTap = null;
+        instance.suppressClickUntil = now + 250;
+        requestAutoScaleReset(instance);
+        return;
+    }
+
+    instance.lastTap = { time: now, point };
+    selectPriceAtPoint(instance, point);
+}
+
+function handlePointerCancel(instance, evt) {
+    clearTimeout(instance.longPressTimer);
+    if (instance.inspecting) {
+        endInspect(instance);
+    }
+    instance.touchPointers.delete(evt.pointerId);
+    if (instance.pinch && instance.touchPointers.size < 2) {
+        endPinch(instance);
+    }
+}
+
+function startInspect(instance, point) {
+    instance.longPressTimer = null;
+    if (instance.pinch || instance.annotationDrag || instance.markerDrag || !instance.pointerClick || instance.pointerClick.moved) {
+        return;
+    }
+
+    // A long press turns the touch into a crosshair: drop the drag it started before anything moved.
+    instance.axisDrag = null;
+    instance.clickState = null;
+    instance.isDragging = false;
+    instance.pointerDragActive = false;
+    instance.pendingHistoryView = null;
+    instance.inspecting = true;
+    if (instance.tooltipHidden) {
+        instance.tooltipHidden = false;
+        instance.chart.setOption({ tooltip: { show: true } }, { notMerge: false, lazyUpdate: true });
+    }
+    updateInspect(instance, point);
+}
+
+function updateInspect(instance, point) {
+    instance.chart.dispatchAction({ type: 'showTip', x: point[0], y: point[1] });
+    handleLinkedHover(instance, { offsetX: point[0], offsetY: point[1] });
+}
+
+function endInspect(instance) {
+    instance.inspecting = false;
+    instance.suppressClickUntil = performance.now() + 250;
+    instance.chart.dispatchAction({ type: 'hideTip' });
+    handleLinkedHoverOut(instance);
+}
+
+function handleContextMenu(instance, evt) {
+    evt.preventDefault();
+    if (instance.inspecting || instance.touchPointers.size > 0) {
+        // Touch long presses open the menu from handlePointerUp once the inspect gesture ends.
+        return;
+    }
+
+    const rect = instance.chart.getDom().getBoundingClientRect();
+    openContextMenu(instance, [evt.clientX - rect.left, evt.clientY - rect.top]);
+}
+
+function openContextMenu(instance, point) {
+    closeContextMenu(instance);
+    const rect = getGridRect(instance.chart);
+    const value = point ? getPlotValueAtPoint(instance, point) : null;
+    if (!rect || !value || point[0] < rect.x || point[0] > rect.x + rect.width || point[1] < rect.y || point[1] > rect.y + rect.height) {
+        return;
+    }
+
+    const [price, pnl] = value;
+    const items = [
+        ['select-price', `Set selected price here (${formatPrice(price)})`],
+        ['add-alert', 'Add price alert here'],
+        ['add-annotation', 'Add annotation'],
+        ['copy-price', 'Copy price'],
+        ['copy-pnl', 'Copy P&L at this price'],
+        ['reset-zoom', 'Reset zoom']
+    ];
+    const menu = document.createElement('div');
+    menu.className = 'payoff-chart-context-menu';
+    for (const [action, label] of items) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = label;
+        button.addEventListener('click', () => {
+            closeContextMenu(instance);
+            runContextAction(instance, action, price, pnl);
+        });
+        menu.appendChild(button);
+    }
+    instance.overlayHost.appendChild(menu);
+    const left = point[0] + menu.offsetWidth > instance.chart.getWidth() ? point[0] - menu.offsetWidth : point[0];
+    const top = point[1] + menu.offsetHeight > instance.chart.getHeight() ? point[1] - menu.offsetHeight : point[1];
+    menu.style.left = `${Math.max(0, left)}px`;
+    menu.style.top = `${Math.max(0, top)}px`;
+
+    const dismiss = (evt) => {
+        if (evt.type === 'keydown' && evt.key !== 'Escape') {
+            return;
+        }
+        if (evt.type === 'pointerdown' && menu.contains(evt.target)) {
+            return;
+        }
+        closeContextMenu(instance);
+    };
+    document.addEventListener('pointerdown', dismiss, true);
+    document.addEventListener('keydown', dismiss, true);
+    window.addEventListener('blur', dismiss);
+    instance.contextMenu = { menu, dismiss };
+}
+
+function closeContextMenu(instance) {
+    const current = instance.contextMenu;
+    if (!current) {
+        return;
+    }
+
+    instance.contextMenu = null;
+    document.removeEventListener('pointerdown', current.dismiss, true);
+    document.removeEventListener('keydown', current.dismiss, true);
+    window.removeEventListener('blur', current.dismiss);
+    current.menu.remove();
+}
+
+function runContextAction(instance, action, price, pnl) {
+    // Chart-local effects run here; .NET still hears about every action so pages can add their own handling.
+    if (action === 'select-price') {
+        selectPrice(instance, price);
+    } else if (action === 'reset-zoom') {
+        requestAutoScaleReset(instance);
+    } else if (action === 'add-annotation') {
+        // Same path as placing a note on the chart: the page asks for the text and adds it through Annotations.
+        instance.dotNetRef.invokeMethodAsync('OnNoteRequested', createAnnotationId(), price, pnl);
+    } else if (action === 'copy-price') {
+        copyText(formatPrice(price));
+    } else if (action === 'copy-pnl') {
+        copyText(buildPnlSummary(instance, price));
+    }
+
+    instance.dotNetRef.invokeMethodAsync('OnContextAction', action, price, getStrategyPnls(getVisiblePayoffCurves(instance), price));
+}
+
+function copyText(text) {
+    navigator.clipboard?.writeText(text).catch(() => {
+        // Clipboard access needs a secure context and permission; copying is best-effort.
+    });
+}
+
+function getVisiblePayoffCurves(instance) {
+    return (instance.lastOption?.series ?? [])
+        .filter((series) => isPayoffCurve(series) && instance.legendSelected?.[series.name] !== false);
+}
+
+function buildPnlSummary(instance, price) {
+    const lines = [`Price ${formatPrice(price)}`];
+    for (const series of getVisiblePayoffCurves(instance)) {
+        const value = interpolatePnl(series.data, price);
+        if (Number.isFinite(value)) {
+            lines.push(`${series.name} ${series.payoffKind}: ${formatPnl(instance, value)}`);
+        }
+    }
+
+    return lines.join('\n');
+}
+
+function requestAutoScaleReset(instance) {
+    // .NET owns the remembered ranges, so it runs the same reset as the chart's auto-scale button.
+    instance.dotNetRef.invokeMethodAsync('OnAutoScaleReset');
 }
@@ -0,0 +1,508 @@
+// Chart logic shared by payoffChart.js and chartRangeStorage.js. Nothing here touches the chart instance or the DOM, so it runs under Node tests.
+export function getProbabilityModel(probability) {
+    if (!probability) {
+        return null;
+    }
+
+    // Same conventions as BlackScholes: IV in percent, 365-day year, zero risk-free rate.
+    const years = probability.daysToExpiry / 365;
+    const sigma = (probability.ivPercent / 100) * Math.sqrt(years);
+    if (!Number.isFinite(sigma) || sigma <= 0) {
+        return null;
+    }
+
+    return {
+        spot: probability.spot,
+        sigma,
+        mu: Math.log(probability.spot) - 0.5 * sigma * sigma
+    };
+}
+
+export function lognormalDensity(model, price) {
+    if (!(price > 0)) {
+        return 0;
+    }
+
+    const z = (Math.log(price) - model.mu) / model.sigma;
+    return Math.exp(-0.5 * z * z) / (price * model.sigma * Math.sqrt(2 * Math.PI));
+}
+
+function lognormalCdf(model, price) {
+    if (!(price > 0)) {
+        return 0;
+    }
+
+    return standardNormalCdf((Math.log(price) - model.mu) / model.sigma);
+}
+
+function standardNormalCdf(x) {
+    const sign = x < 0 ? -1 : 1;
+    const absX = Math.abs(x) / Math.sqrt(2);
+    const t = 1 / (1 + 0.3275911 * absX);
+    const y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-absX * absX);
+    return 0.5 * (1 + sign * y);
+}
+
+export function integratePayoff(model, data) {
+    const points = data.filter((point) => Array.isArray(point) && Number.isFinite(point[0]) && Number.isFinite(point[1]));
+    if (points.length < 2) {
+        return null;
+    }
+
+    // P&L is linear between samples and the tails continue the edge slopes, so each piece integrates exactly.
+    let probabilityOfProfit = 0;
+    let expectedPnl = 0;
+    const addLinear = (from, to, anchor, value, slope) => {
+        const zero = slope !== 0 ? anchor - value / slope : Number.NaN;
+        const bounds = zero > from && zero < to ? [from, zero, to] : [from, to];
+        for (let i = 1; i < bounds.length; i++) {
+            const lo = bounds[i - 1];
+            const hi = bounds[i];
+            const mass = lognormalCdf(model, hi) - lognormalCdf(model, lo);
+            const partialMean = lognormalPartialMean(model, hi) - lognormalPartialMean(model, lo);
+            expectedPnl += (value - slope * anchor) * mass + slope * partialMean;
+            const probe = Number.isFinite(hi) ? (lo + hi) / 2 : lo + 1;
+            if (value + slope * (probe - anchor) > 0) {
+                probabilityOfProfit += mass;
+            }
+        }
+    };
+    const slopeOf = ([p0, v0], [p1, v1]) => (p1 > p0 ? (v1 - v0) / (p1 - p0) : 0);
+
+    const first = points[0];
+    const last = points[points.length - 1];
+    addLinear(0, first[0], first[0], first[1], slopeOf(first, points[1]));
+    for (let i = 1; i < points.length; i++) {
+        const previous = points[i - 1];
+        if (points[i][0] > previous[0]) {
+            addLinear(previous[0], points[i][0], previous[0], previous[1], slopeOf(previous, points[i]));
+        }
+    }
+    addLinear(last[0], Number.POSITIVE_INFINITY, last[0], last[1], slopeOf(points[points.length - 2], last));
+
+    return { probabilityOfProfit, expectedPnl };
+}
+
+// E[S; S < price] for the lognormal terminal price.
+function lognormalPartialMean(model, price) {
+    if (!(price > 0)) {
+        return 0;
+    }
+
+    const sigma2 = model.sigma * model.sigma;
+    return Math.exp(model.mu + 0.5 * sigma2) * standardNormalCdf((Math.log(price) - model.mu - sigma2) / model.sigma);
+}
+
+// Only whole multiples of the loaded candle spacing can be built from those candles; anything finer shows them as they are.
+export function getAggregationInterval(intervalMs, candles) {
+    if (!Number.isFinite(intervalMs) || intervalMs <= 0) {
+        return 0;
+    }
+
+    const spacing = getCandleSpacing(candles);
+    return Number.isFinite(spacing) && intervalMs > spacing && intervalMs % spacing === 0 ? intervalMs : 0;
+}
+
+// The smallest gap between candle times, or Infinity until two candles are loaded.
+export function getCandleSpacing(candles) {
+    let spacing = Number.POSITIVE_INFINITY;
+    for (let i = 1; i < (candles?.length ?? 0); i++) {
+        const step = Math.abs(candles[i]?.[0] - candles[i - 1]?.[0]);
+        if (step > 0 && step < spacing) {
+            spacing = step;
+        }
+    }
+
+    return spacing;
+}
+
+export function aggregateCandles(candles, intervalMs) {
+    if (!Array.isArray(candles) || !Number.isFinite(intervalMs) || intervalMs <= 0) {
+        return Array.isArray(candles) ? candles : [];
+    }
+
+    let sorted = candles;
+    for (let i = 1; i < candles.length; i++) {
+        if (candles[i]?.[0] < candles[i - 1]?.[0]) {
+            sorted = candles.slice().sort((a, b) => a[0] - b[0]);
+            break;
+        }
+    }
+
+    // Buckets start on UTC multiples of the interval, matching exchange kline boundaries.
+    const result = [];
+    let bucket = null;
+    for (const candle of sorted) {
+        const time = candle?.[0];
+        if (!Number.isFinite(time)) {
+            continue;
+        }
+
+        const start = Math.floor(time / intervalMs) * intervalMs;
+        const volume = Number.isFinite(candle[5]) ? candle[5] : 0;
+        if (!bucket || bucket[0] !== start) {
+            bucket = [start, candle[1], candle[2], candle[3], candle[4], volume];
+            result.push(bucket);
+            continue;
+        }
+
+        bucket[2] = candle[2];
+        bucket[3] = Math.min(bucket[3], candle[3]);
+        bucket[4] = Math.max(bucket[4], candle[4]);
+        bucket[5] += volume;
+    }
+
+    return result;
+}
+
+export function interpolatePnl(data, price) {
+    if (!Array.isArray(data) || data.length < 2 || !Number.isFinite(price)) {
+        return null;
+    }
+
+    const first = data[0];
+    const last = data[data.length - 1];
+    if (!Array.isArray(first) || !Array.isArray(last) || price < first[0] || price > last[0]) {
+        return null;
+    }
+
+    // Payoff samples are sorted by price, so binary search the bracketing segment.
+    let lo = 0;
+    let hi = data.length - 1;
+    while (hi - lo > 1) {
+        const mid = (lo + hi) >> 1;
+        if (data[mid][0] <= price) {
+            lo = mid;
+        } else {
+            hi = mid;
+        }
+    }
+
+    const [p0, v0] = data[lo];
+    const [p1, v1] = data[hi];
+    if (p1 === p0) {
+        return v0;
+    }
+
+    return v0 + (v1 - v0) * (price - p0) / (p1 - p0);
+}
+
+export function findVisibleExtrema(data, xRange, slopeData) {
+    const points = data.filter((point) => Array.isArray(point) && Number.isFinite(point[0]) && Number.isFinite(point[1]));
+    if (points.length < 2) {
+        return null;
+    }
+
+    const first = points[0];
+    const last = points[points.length - 1];
+    const min = Math.max(xRange?.min ?? first[0], first[0]);
+    const max = Math.min(xRange?.max ?? last[0], last[0]);
+    if (min > max) {
+        return null;
+    }
+
+    const leftEdge = [min, interpolatePnl(points, min)];
+    const rightEdge = [max, interpolatePnl(points, max)];
+    let high = leftEdge;
+    let low = leftEdge;
+    for (const point of [...points.filter((p) => p[0] > min && p[0] < max), rightEdge]) {
+        if (point[1] > high[1]) {
+            high = point;
+        }
+        if (point[1] < low[1]) {
+            low = point;
+        }
+    }
+
+    // A curve still moving at the end of its data keeps going past it: that side is unbounded. The expiry payoff is
+    // linear out there, so it decides for the T+0 curve too, which still slopes slightly at the edges of a bounded spread.
+    // The flag is only shown while that data edge is inside the window, where the edge mark sits on it.
+    const slopePoints = Array.isArray(slopeData)
+        ? slopeData.filter((point) => Array.isArray(point) && Number.isFinite(point[0]) && Number.isFinite(point[1]))
+        : [];
+    const slopes = getEdgeSlopes(slopePoints.length >= 2 ? slopePoints : points);
+    const tolerance = 1e-3;
+    const showLeft = min === first[0];
+    const showRight = max === last[0];
+    return {
+        high,
+        low,
+        leftEdge,
+        rightEdge,
+        rising: { left: showLeft && slopes.left > tolerance, right: showRight && slopes.right > tolerance },
+        falling: { left: showLeft && slopes.left < -tolerance, right: showRight && slopes.right < -tolerance }
+    };
+}
+
+// Edge slopes scaled by the curve's price span over its P&L range; positive means P&L grows moving outward.
+function getEdgeSlopes(points) {
+    let lowValue = Number.POSITIVE_INFINITY;
+    let highValue = Number.NEGATIVE_INFINITY;
+    for (const point of points) {
+        lowValue = Math.min(lowValue, point[1]);
+        highValue = Math.max(highValue, point[1]);
+    }
+
+    const first = points[0];
+    const last = points[points.length - 1];
+    const span = last[0] - first[0];
+    const range = highValue - lowValue;
+    if (!(span > 0) || !(range > 0)) {
+        return { left: 0, right: 0 };
+    }
+
+    const slope = ([p0, v0], [p1, v1]) => (p1 > p0 ? ((v1 - v0) / (p1 - p0)) * span / range : 0);
+    return {
+        left: -slope(first, points[1]),
+        right: slope(points[points.length - 2], last)
+    };
+}
+
+// Interop sends camelCase keys; PascalCase ones are accepted too, as normalizeRange does for ranges.
+// A note may have empty text: the pin alone still marks the point.
+export function normalizeAnnotation(annotation) {
+    if (!annotation) {
+        return null;
+    }
+
+    const id = annotation.id ?? annotation.Id;
+    if (id === null || id === undefined) {
+        return null;
+    }
+
+    const kind = String(annotation.kind ?? annotation.Kind ?? '').toLowerCase();
+    const price = Number.isFinite(annotation.price) ? annotation.price : annotation.Price;
+    const pnl = Number.isFinite(annotation.pnl) ? annotation.pnl : annotation.Pnl;
+    const text = typeof annotation.text === 'string' ? annotation.text : annotation.Text;
+    const color = typeof annotation.color === 'string' ? annotation.color : annotation.Color;
+    const normalized = {
+        id: String(id),
+        kind,
+        price: Number.isFinite(price) ? price : null,
+        pnl: Number.isFinite(pnl) ? pnl : null,
+        text: typeof text === 'string' ? text : (kind === 'note' ? '' : null),
+        color: typeof color === 'string' ? color : null
+    };
+
+    const isValid = (kind === 'pnl' && normalized.pnl !== null)
+        || (kind === 'price' && normalized.price !== null)
+        || (kind === 'note' && normalized.price !== null && normalized.pnl !== null);
+    return isValid ? normalized : null;
+}
+
+export function findZeroCrossings(data) {
+    const crossings = [];
+    for (let i = 1; i < data.length; i++) {
+        const [x0, y0] = data[i - 1];
+        const [x1, y1] = data[i];
+        if ((y0 < 0 && y1 >= 0) || (y0 > 0 && y1 <= 0)) {
+            crossings.push(x0 + (x1 - x0) * (y0 / (y0 - y1)));
+        }
+    }
+
+    return crossings;
+}
+
+// Returns only the series whose content changed, or null when anything outside the series list differs or a
+// series would need a property removed, which a merge cannot do.
+export function diffSeriesById(previous, next) {
+    if (!previous || !Array.isArray(previous.series) || !Array.isArray(next.series)) {
+        return null;
+    }
+
+    const keys = new Set([...Object.keys(previous), ...Object.keys(next)]);
+    for (const key of keys) {
+        if (key !== 'series' && compareOptionValue(previous[key], next[key]) !== 0) {
+            return null;
+        }
+    }
+
+    if (previous.series.length !== next.series.length) {
+        return null;
+    }
+
+    const changed = [];
+    for (let i = 0; i < next.series.length; i++) {
+        const before = previous.series[i];
+        const after = next.series[i];
+        if (!before?.id || before.id !== after?.id) {
+            return null;
+        }
+
+        const difference = compareOptionValue(before, after);
+        if (difference === 2) {
+            return null;
+        }
+        if (difference === 1) {
+            changed.push(after);
+        }
+    }
+
+    return changed;
+}
+
+// 0 when equal, 1 when only values differ, 2 when an object gained or lost a key. ECharts replaces arrays on merge,
+// so differences inside them are plain value changes. Formatter functions are rebuilt on every normalize and match.
+// Walks the values in place and stops at the first difference, so unchanged data costs no allocations.
+export function compareOptionValue(a, b) {
+    if (a === b || (typeof a === 'function' && typeof b === 'function')) {
+        return 0;
+    }
+
+    if (Array.isArray(a) && Array.isArray(b)) {
+        if (a.length !== b.length) {
+            return 1;
+        }
+        for (let i = 0; i < a.length; i++) {
+            if (compareOptionValue(a[i], b[i]) !== 0) {
+                return 1;
+            }
+        }
+        return 0;
+    }
+
+    if (isPlainOptionObject(a) && isPlainOptionObject(b)) {
+        let result = 0;
+        let count = 0;
+        for (const key in a) {
+            if (a[key] === undefined) {
+                continue;
+            }
+            if (b[key] === undefined) {
+                return 2;
+            }
+            count++;
+            const difference = compareOptionValue(a[key], b[key]);
+            if (difference === 2) {
+                return 2;
+            }
+            result = Math.max(result, difference);
+        }
+        for (const key in b) {
+            if (b[key] !== undefined) {
+                count--;
+            }
+        }
+        return count !== 0 ? 2 : result;
+    }
+
+    return Number.isNaN(a) && Number.isNaN(b) ? 0 : 1;
+}
+
+function isPlainOptionObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// The drag and zoom math is linear; on a log axis it runs on log prices, which is what pixels map to. A range that
+// reaches zero or below has no log form, so every range the math mixes has to be positive for it to go log.
+export function usesLogScale(logPrice, ...ranges) {
+    return logPrice === true && ranges.every((range) => range?.min > 0 && range?.max > 0);
+}
+
+export function toPriceScale(logPrice, range) {
+    if (!usesLogScale(logPrice, range)) {
+        return range;
+    }
+
+    return { min: Math.log(range.min), max: Math.log(range.max) };
+}
+
+export function fromPriceScale(logPrice, range) {
+    if (!logPrice || !range) {
+        return range;
+    }
+
+    return { min: Math.exp(range.min), max: Math.exp(range.max) };
+}
+
+export function inPriceScale(logPrice, range, transform) {
+    if (!usesLogScale(logPrice, range)) {
+        return transform(range);
+    }
+
+    return fromPriceScale(logPrice, transform(toPriceScale(logPrice, range)));
+}
+
+// Each strategy's P&L at a price off its T+0 ("-temp") and expiry ("-expired") curves; null where a curve does not reach.
+export function getStrategyPnls(curves, price) {
+    const byStrategy = new Map();
+    for (const series of curves) {
+        const isTemp = series.id.endsWith('-temp');
+        const strategyId = series.id.slice(0, series.id.lastIndexOf('-'));
+        const entry = byStrategy.get(strategyId) ?? { strategyId, tempPnl: null, expiryPnl: null };
+        entry[isTemp ? 'tempPnl' : 'expiryPnl'] = interpolatePnl(series.data, price);
+        byStrategy.set(strategyId, entry);
+    }
+
+    return Array.from(byStrategy.values());
+}
+
+// Low and high a live candle tick [time, open, close, low, high] adds to the move. Repeated ticks of one bar carry its
+// whole range, so only a newly reached low or high counts; anything else falls back to the close.
+export function getCandleMoveExtremes(previousBar, bar) {
+    const sameBar = previousBar && previousBar[0] === bar[0];
+    const low = Number.isFinite(bar[3]) && !(sameBar && bar[3] >= previousBar[3]) ? bar[3] : bar[2];
+    const high = Number.isFinite(bar[4]) && !(sameBar && bar[4] <= previousBar[4]) ? bar[4] : bar[2];
+    return [low, high];
+}
+
+// Alerts whose level lies on the path from the previous price to this one, as { id, value } to report. Candles pass
+// their low and high so a level touched only by a wick still counts. A P&L alert follows the path along the T+0 curve
+// getCurve returns for it, and is skipped while that curve does not cover the move.
+export function findTriggeredAlerts(alerts, getCurve, previous, price, low = price, high = price) {
+    if (!Number.isFinite(previous) || !Number.isFinite(price)) {
+        return [];
+    }
+
+    const min = Math.min(previous, price, low);
+    const max = Math.max(previous, price, high);
+    if (min === max) {
+        return [];
+    }
+
+    const triggered = [];
+    for (const alert of alerts) {
+        let from = previous;
+        let to = price;
+        let span = [min, max];
+        if (alert.strategyId) {
+            const data = getCurve(alert);
+            from = Array.isArray(data) ? interpolatePnl(data, previous) : null;
+            to = Array.isArray(data) ? interpolatePnl(data, price) : null;
+            span = Array.isArray(data) ? getPnlSpan(data, min, max) : null;
+            if (!Number.isFinite(from) || !Number.isFinite(to) || !span) {
+                continue;
+            }
+        }
+
+        const level = alert.value;
+        if (level === from || level < span[0] || level > span[1]) {
+            continue;
+        }
+
+        // A level passed between the two prices reports where the move ended; one touched only on the way reports itself.
+        const crossedByMove = (from < level && to >= level) || (from > level && to <= level);
+        triggered.push({ id: alert.id, value: crossedByMove ? to : level });
+    }
+
+    return triggered;
+}
+
+// Lowest and highest P&L of a payoff curve between two prices, including the curve's own points in between.
+export function getPnlSpan(data, minPrice, maxPrice) {
+    const start = interpolatePnl(data, minPrice);
+    const end = interpolatePnl(data, maxPrice);
+    if (!Number.isFinite(start) || !Number.isFinite(end)) {
+        return null;
+    }
+
+    let min = Math.min(start, end);
+    let max = Math.max(start, end);
+    for (const point of data) {
+        if (point[0] > minPrice && point[0] < maxPrice && Number.isFinite(point[1])) {
+            min = Math.min(min, point[1]);
+            max = Math.max(max, point[1]);
+        }
+    }
+    return [min, max];
+}